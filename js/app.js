@@ -6,6 +6,7 @@
 import { initNavigation } from './ui/Navigation.js';
 import { AlgorithmCard } from './ui/AlgorithmCard.js';
 import { ProgressTracker } from './ui/ProgressTracker.js';
+import { CaseBuilder } from './cube/CaseBuilder.js';
 
 // Determine which page we're on
 function getCurrentStep() {
@@ -17,6 +18,30 @@ function isIndexPage() {
   return document.getElementById('hero-cube') !== null;
 }
 
+function isTimerPage() {
+  return document.getElementById('timer') !== null;
+}
+
+function isStatsPage() {
+  return document.getElementById('stats') !== null;
+}
+
+function isDrillPage() {
+  return document.getElementById('drill') !== null;
+}
+
+function isQuizPage() {
+  return document.getElementById('quiz') !== null;
+}
+
+function isEditorPage() {
+  return document.getElementById('cube-editor') !== null;
+}
+
+function isPlaygroundPage() {
+  return document.getElementById('playground') !== null;
+}
+
 async function loadJSON(step) {
   const resp = await fetch(`data/${step}.json`);
   return resp.json();
@@ -37,6 +62,13 @@ async function initIndexPage() {
     }, 500);
   }
 
+  // Practice scramble
+  const scrambleContainer = document.getElementById('scramble-panel');
+  if (scrambleContainer) {
+    const { ScramblePanel } = await import('./ui/ScramblePanel.js');
+    new ScramblePanel(scrambleContainer);
+  }
+
   // Update progress bars on step cards
   updateIndexProgress();
   window.addEventListener('progress-changed', updateIndexProgress);
@@ -52,6 +84,15 @@ async function updateIndexProgress() {
       const ids = data.filter(d => d.tier === 'beginner').map(d => d.id);
       const progress = ProgressTracker.getProgress(ids);
       fill.style.width = (progress * 100) + '%';
+
+      // Review counts over every case of the step
+      const reviews = document.querySelector(`.step-card__reviews[data-step="${step}"]`);
+      if (reviews) {
+        const allIds = data.map(d => d.id);
+        const learned = ProgressTracker.countCompleted(allIds);
+        const due = ProgressTracker.getDue(allIds).length;
+        reviews.textContent = learned > 0 ? `${learned} learned · ${due} due for review` : '';
+      }
     } catch {
       // Data not loaded yet, skip
     }
@@ -63,9 +104,12 @@ async function initStepPage(step) {
   const listEl = document.getElementById('algorithm-list');
   if (!listEl) return;
 
-  const data = await loadJSON(step);
+  // Fill in derived setup moves and recognition patterns
+  const data = (await loadJSON(step)).map(entry => CaseBuilder.prepare(entry, step));
   const tierToggle = document.getElementById('tier-toggle');
-  let currentTier = 'beginner';
+  let currentTier = tierToggle
+    ? tierToggle.querySelector('.tier-toggle__btn--active').dataset.tier
+    : 'beginner';
 
   const cards = [];
   let expandedCard = null;
@@ -77,7 +121,13 @@ async function initStepPage(step) {
     listEl.innerHTML = '';
     expandedCard = null;
 
-    const filtered = data.filter(d => tier === 'full' || d.tier === 'beginner');
+    const filtered = entriesForTier(data, tier);
+    if (filtered.length === 0 && tier === 'due') {
+      const empty = document.createElement('p');
+      empty.className = 'card-grid__empty';
+      empty.textContent = 'Nothing is due for review. Tick algorithms as learned to schedule them.';
+      listEl.appendChild(empty);
+    }
 
     for (const item of filtered) {
       const card = new AlgorithmCard(item, listEl, (thisCard) => {
@@ -87,41 +137,233 @@ async function initStepPage(step) {
         }
         expandedCard = thisCard;
       });
+      card.onViewChange = updateCardLink;
       cards.push(card);
     }
 
     updatePageProgress(data, tier);
   }
 
+  function setTier(tier) {
+    if (tierToggle) {
+      tierToggle.querySelectorAll('.tier-toggle__btn').forEach(b =>
+        b.classList.toggle('tier-toggle__btn--active', b.dataset.tier === tier));
+    }
+    currentTier = tier;
+    renderCards(currentTier);
+  }
+
   // Tier toggle
   if (tierToggle) {
     tierToggle.querySelectorAll('.tier-toggle__btn').forEach(btn => {
       btn.addEventListener('click', () => {
-        tierToggle.querySelectorAll('.tier-toggle__btn').forEach(b =>
-          b.classList.remove('tier-toggle__btn--active'));
-        btn.classList.add('tier-toggle__btn--active');
-        currentTier = btn.dataset.tier;
-        renderCards(currentTier);
+        setTier(btn.dataset.tier);
+        updateCardLink(null);
       });
     });
   }
 
+  // Deep links: open the linked card at the linked move
+  function openCardLink() {
+    const { id, step: move } = parseCardLink(location.hash);
+    const entry = data.find(d => d.id === id);
+    if (!entry) return;
+    if (!entriesForTier(data, currentTier).includes(entry)) {
+      setTier(entry.tier === 'beginner' ? 'beginner' : 'full');
+    }
+    const card = cards.find(c => c.data === entry);
+    if (!card.expanded) card.toggle();
+    card.el.scrollIntoView({ block: 'start' });
+    card.controller.goToStep(move);
+  }
+
   window.addEventListener('progress-changed', () => {
     updatePageProgress(data, currentTier);
   });
+  window.addEventListener('hashchange', openCardLink);
 
   renderCards(currentTier);
+  openCardLink();
+}
+
+/**
+ * Card id and demo move of a step page link: "#pll-corners-t-perm/7"
+ * opens the T-perm card at move 7. A hash that can't be decoded links
+ * to nothing.
+ */
+function parseCardLink(hash) {
+  let text;
+  try {
+    text = decodeURIComponent(hash.replace(/^#/, ''));
+  } catch {
+    return { id: null, step: 0 };
+  }
+  const [id, move] = text.split('/');
+  return { id, step: Number.parseInt(move, 10) || 0 };
+}
+
+/**
+ * Keep the URL on the expanded card and its current move, so the view
+ * can be shared. Replaces the history entry rather than adding one.
+ */
+function updateCardLink(card) {
+  let hash = '';
+  if (card && card.expanded) {
+    hash = card.step > 0 ? `#${card.data.id}/${card.step}` : `#${card.data.id}`;
+  } else if (card && parseCardLink(location.hash).id !== card.data.id) {
+    return; // collapsing a card the URL doesn't point at
+  }
+  if (hash === location.hash) return;
+  history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+}
+
+/**
+ * Entries shown for a tier: the beginner ones, all of them, or those due
+ * for review (most overdue first).
+ */
+function entriesForTier(data, tier) {
+  if (tier === 'due') {
+    const due = ProgressTracker.getDue(data.map(d => d.id));
+    return due.map(id => data.find(d => d.id === id));
+  }
+  return data.filter(d => tier === 'full' || d.tier === 'beginner');
 }
 
 function updatePageProgress(data, tier) {
+  // Count on the "due for review" button
+  const dueCount = document.getElementById('due-count');
+  if (dueCount) {
+    const due = ProgressTracker.getDue(data.map(d => d.id)).length;
+    dueCount.textContent = due > 0 ? `(${due})` : '';
+  }
+
   const fill = document.getElementById('page-progress');
   if (!fill) return;
-  const filtered = data.filter(d => tier === 'full' || d.tier === 'beginner');
+  const filtered = data.filter(d => tier !== 'beginner' || d.tier === 'beginner');
   const ids = filtered.map(d => d.id);
   const progress = ProgressTracker.getProgress(ids);
   fill.style.width = (progress * 100) + '%';
 }
 
+// --- Step tools (cross trainer, F2L analyzer) ---
+// Shown in place of the cards by the page's mode toggle, created on first use
+const STEP_TOOLS = {
+  cross: async (el) => {
+    const { CrossTrainer } = await import('./ui/CrossTrainer.js');
+    new CrossTrainer(el).next();
+  },
+  f2l: async (el) => {
+    const { F2LAnalyzer } = await import('./ui/F2LAnalyzer.js');
+    new F2LAnalyzer(el);
+  },
+};
+
+function initStepTool(step) {
+  const modeToggle = document.getElementById('mode-toggle');
+  const toolEl = document.getElementById('step-tool');
+  const listEl = document.getElementById('algorithm-list');
+  const tierToggle = document.getElementById('tier-toggle');
+  if (!modeToggle || !toolEl || !STEP_TOOLS[step]) return;
+
+  let created = false;
+  modeToggle.querySelectorAll('.tier-toggle__btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      modeToggle.querySelectorAll('.tier-toggle__btn').forEach(b =>
+        b.classList.remove('tier-toggle__btn--active'));
+      btn.classList.add('tier-toggle__btn--active');
+
+      const showTool = btn.dataset.mode === 'tool';
+      listEl.hidden = showTool;
+      toolEl.hidden = !showTool;
+      if (tierToggle) tierToggle.hidden = showTool;
+      if (showTool && !created) {
+        created = true;
+        await STEP_TOOLS[step](toolEl);
+      }
+    });
+  });
+}
+
+// --- Timer page ---
+async function initTimerPage() {
+  const [{ ScramblePanel }, { SolveTimer }, { SessionView }, { SessionStore }] = await Promise.all([
+    import('./ui/ScramblePanel.js'),
+    import('./ui/SolveTimer.js'),
+    import('./ui/SessionView.js'),
+    import('./ui/SessionStore.js'),
+  ]);
+
+  const scramblePanel = new ScramblePanel(document.getElementById('timer-scramble'));
+  const sessionView = new SessionView(document.getElementById('timer-session'));
+  const timer = new SolveTimer(document.getElementById('timer-display'), {
+    inspection: SessionStore.isInspectionEnabled(),
+  });
+
+  const inspectionToggle = document.getElementById('timer-inspection');
+  inspectionToggle.checked = timer.inspection;
+  inspectionToggle.addEventListener('change', () => {
+    SessionStore.setInspectionEnabled(inspectionToggle.checked);
+    timer.setInspection(inspectionToggle.checked);
+    inspectionToggle.blur(); // keep Space for the timer
+  });
+
+  // Record the solve against the scramble it used, then scramble again
+  timer.onSolve = ({ time, penalty }) => {
+    SessionStore.addSolve({ time, penalty, scramble: scramblePanel.scramble, date: Date.now() });
+    sessionView.render();
+    scramblePanel.next();
+  };
+
+  // Dim everything but the time while solving
+  timer.onStateChange = (state) => {
+    document.body.classList.toggle('timer-active', state !== 'idle' && state !== 'stopped');
+  };
+}
+
+// --- Statistics page ---
+async function initStatsPage() {
+  const { StatsView } = await import('./ui/StatsView.js');
+  new StatsView(document.getElementById('stats'));
+}
+
+// --- Recognition drill page ---
+async function initDrillPage() {
+  const { RecognitionDrill } = await import('./ui/RecognitionDrill.js');
+  const [oll, pll] = await Promise.all(['oll', 'pll'].map(async step =>
+    (await loadJSON(step)).map(entry => CaseBuilder.prepare(entry, step))));
+  const set = new URLSearchParams(location.search).get('set') === 'pll' ? 'pll' : 'oll';
+  new RecognitionDrill(document.getElementById('drill'), { oll, pll }, { set });
+}
+
+// --- Algorithm quiz page ---
+async function initQuizPage() {
+  const { AlgorithmQuiz } = await import('./ui/AlgorithmQuiz.js');
+  const [f2l, oll, pll] = await Promise.all(['f2l', 'oll', 'pll'].map(async step =>
+    (await loadJSON(step)).map(entry => CaseBuilder.prepare(entry, step))));
+  const param = new URLSearchParams(location.search).get('set');
+  const set = ['f2l', 'pll'].includes(param) ? param : 'oll';
+  new AlgorithmQuiz(document.getElementById('quiz'), { f2l, oll, pll }, { set });
+}
+
+// --- Cube editor page ---
+async function initEditorPage() {
+  const { CubeEditor } = await import('./ui/CubeEditor.js');
+  const [oll, pll] = await Promise.all(['oll', 'pll'].map(async step =>
+    (await loadJSON(step)).map(entry => CaseBuilder.prepare(entry, step))));
+  const state = new URLSearchParams(location.search).get('state');
+  new CubeEditor(document.getElementById('cube-editor'), { oll, pll }, { state });
+}
+
+// --- Algorithm playground page ---
+async function initPlaygroundPage() {
+  const { AlgorithmPlayground } = await import('./ui/AlgorithmPlayground.js');
+  const params = new URLSearchParams(location.search);
+  new AlgorithmPlayground(document.getElementById('playground'), {
+    setup: params.get('setup') || '',
+    alg: params.get('alg') || '',
+  });
+}
+
 // --- Init ---
 document.addEventListener('DOMContentLoaded', () => {
   initNavigation();
@@ -130,8 +372,33 @@ document.addEventListener('DOMContentLoaded', () => {
     initIndexPage();
   }
 
+  if (isTimerPage()) {
+    initTimerPage();
+  }
+
+  if (isStatsPage()) {
+    initStatsPage();
+  }
+
+  if (isDrillPage()) {
+    initDrillPage();
+  }
+
+  if (isQuizPage()) {
+    initQuizPage();
+  }
+
+  if (isEditorPage()) {
+    initEditorPage();
+  }
+
+  if (isPlaygroundPage()) {
+    initPlaygroundPage();
+  }
+
   const step = getCurrentStep();
   if (step) {
     initStepPage(step);
+    initStepTool(step);
   }
 });
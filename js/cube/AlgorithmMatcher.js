@@ -0,0 +1,91 @@
+/**
+ * Decides whether a typed algorithm solves a case, by comparing cube
+ * states rather than notation: "R U R' U'" and "(R U R' U')" match, and
+ * so do different algorithms for the same case, algorithms that start
+ * with a different AUF, end with an extra U turn or are played from a
+ * different grip (whole-cube rotations, wide moves).
+ *
+ * Only the stickers the CFOP step is responsible for are compared, so
+ * any OLL that orients the top works, whatever PLL it leaves.
+ * Headless (CubeModel and MoveParser only).
+ */
+
+import { CubeModel } from './CubeModel.js';
+import { MoveParser } from './MoveParser.js';
+
+const PRE_AUFS = ['', 'U', "U'", 'U2'];
+
+const ALL = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+// Side face stickers below the U layer
+const LOWER = [3, 4, 5, 6, 7, 8];
+const FIRST_TWO_LAYERS = { D: ALL, F: LOWER, B: LOWER, R: LOWER, L: LOWER };
+
+// Stickers each step has to get right (null: the whole cube)
+const STEP_STICKERS = {
+  f2l: FIRST_TWO_LAYERS,
+  oll: { ...FIRST_TWO_LAYERS, U: ALL },
+  pll: null,
+};
+
+export class AlgorithmMatcher {
+  /**
+   * Does `answer` do what `reference` does from `setup`, as far as the
+   * step is concerned? Each pre-AUF is tried in turn; the end states are
+   * compared up to a whole-cube rotation and a final U turn.
+   * @param {string} setup - moves that set the case up from solved
+   * @param {string} reference - a known algorithm for the case
+   * @param {string} answer - the algorithm to check (valid notation)
+   * @param {string} step - 'f2l', 'oll' or 'pll'
+   * @returns {string|null} the pre-AUF that makes it work ('' for none),
+   *   or null if it does not solve the case
+   */
+  static match(setup, reference, answer, step) {
+    const start = new CubeModel();
+    start.applyMoves(MoveParser.parse(setup), false);
+    const target = start.clone();
+    target.applyMoves(MoveParser.parse(reference), false);
+    const stickers = STEP_STICKERS[step] || null;
+
+    const preAUF = PRE_AUFS.find((auf) => {
+      const model = start.clone();
+      model.applyMoves(MoveParser.parse(`${auf} ${answer}`), false);
+      return model.equalsModuloOrientation(target, stickers);
+    });
+    return preAUF === undefined ? null : preAUF;
+  }
+
+  /**
+   * How many leading moves of `answer` stay on the path of one of the
+   * known algorithms (each played after any pre-AUF), comparing states
+   * up to a whole-cube rotation. Move number `result + 1` is the first
+   * one that leaves every known solution; a result equal to the answer's
+   * length means it only stops short.
+   * @param {string} setup
+   * @param {string[]} references - known algorithms for the case
+   * @param {string} answer
+   * @returns {number}
+   */
+  static divergence(setup, references, answer) {
+    const start = new CubeModel();
+    start.applyMoves(MoveParser.parse(setup), false);
+
+    const onPath = new Set([start.orientedKey()]);
+    for (const reference of references) {
+      for (const auf of PRE_AUFS) {
+        const model = start.clone();
+        for (const move of MoveParser.parse(`${auf} ${reference}`)) {
+          model.applyMove(move, false);
+          onPath.add(model.orientedKey());
+        }
+      }
+    }
+
+    const model = start.clone();
+    const moves = MoveParser.parse(answer);
+    for (let i = 0; i < moves.length; i++) {
+      model.applyMove(moves[i], false);
+      if (!onPath.has(model.orientedKey())) return i;
+    }
+    return moves.length;
+  }
+}
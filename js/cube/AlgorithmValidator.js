@@ -0,0 +1,140 @@
+/**
+ * Headless checks for the algorithm entries in data/*.json.
+ * Only uses CubeModel and MoveParser, so it runs in Node as well as in
+ * the browser (no DOM, no WebGL).
+ */
+
+import { CubeModel } from './CubeModel.js';
+import { MoveParser } from './MoveParser.js';
+import { CaseBuilder, PATTERN_STEPS } from './CaseBuilder.js';
+
+// What setupMoves + algorithm must achieve, per CFOP step
+const STEP_GOALS = {
+  cross: {
+    description: 'the cross solved',
+    test: model => model.isCrossSolved(),
+  },
+  f2l: {
+    description: 'its F2L slot filled',
+    test: (model, entry) => {
+      const slot = findSlot(entry);
+      return model.isCrossSolved() &&
+        (slot ? model.isSlotSolved(slot) : model.isF2LSolved());
+    },
+  },
+  oll: {
+    description: 'the U face oriented',
+    test: model => model.isLastLayerOriented(),
+  },
+  pll: {
+    description: 'the cube solved up to AUF',
+    test: model => model.isSolvedUpToAUF(),
+  },
+};
+
+/**
+ * The slot an F2L entry works on, taken from its first slot highlight.
+ */
+function findSlot(entry) {
+  for (const step of entry.steps || []) {
+    const highlight = (step.highlights || []).find(h => h.type === 'slot');
+    if (highlight) return highlight.slot;
+  }
+  return null;
+}
+
+export class AlgorithmValidator {
+  /**
+   * Check one entry as the app will show it (derived setup and preAUF
+   * filled in by CaseBuilder). Returns a list of problems:
+   * { id, step, check, message }.
+   */
+  static validateEntry(entry, step) {
+    const problems = [];
+    const report = (check, message) => problems.push({ id: entry.id, step, check, message });
+
+    // Notation, as written in the JSON
+    for (const field of ['algorithm', 'setupMoves', 'preAUF']) {
+      for (const error of MoveParser.check(entry[field])) {
+        report('notation', `${field}: ${error.reason} at column ${error.column}`);
+      }
+    }
+    (entry.alternatives || []).forEach((alt, i) => {
+      for (const field of ['algorithm', 'preAUF']) {
+        for (const error of MoveParser.check(alt[field])) {
+          report('notation', `alternatives[${i}].${field}: ${error.reason} at column ${error.column}`);
+        }
+      }
+    });
+
+    const prepared = CaseBuilder.prepare(entry, step);
+    const afterSetup = new CubeModel();
+    afterSetup.applyMoves(MoveParser.parse(prepared.setupMoves), false);
+
+    // Goal state and step breakdown of each algorithm, all from the
+    // main algorithm's setup
+    CaseBuilder.algorithms(prepared).forEach((alg, i) => {
+      const where = i === 0 ? '' : `alternatives[${i - 1}]: `;
+      const moves = MoveParser.parse(alg.algorithm);
+
+      const model = afterSetup.clone();
+      model.applyMoves(moves, false);
+      const goal = STEP_GOALS[step];
+      if (goal && !goal.test(model, prepared)) {
+        report('goal', `${where}setupMoves + algorithm does not leave ${goal.description}`);
+      }
+
+      const steps = alg.steps || [];
+      if (steps.length > 0) {
+        const total = steps.reduce((sum, s) => sum + s.moves, 0);
+        if (total !== moves.length) {
+          report('steps', `${where}steps cover ${total} moves but the algorithm has ${moves.length}`);
+        }
+      }
+      steps.forEach((s, j) => {
+        for (const highlight of s.highlights || []) {
+          if (!s.label.includes(highlight.text)) {
+            report('highlights', `${where}step ${j + 1}: "${highlight.text}" does not appear in its label`);
+          }
+        }
+      });
+    });
+
+    // Hand-written recognition pattern, if the JSON still has one
+    const pattern = entry.recognition && entry.recognition.topPattern;
+    if (pattern && PATTERN_STEPS.includes(step)) {
+      const actual = afterSetup.getTopPattern();
+      if (actual.join('') !== pattern.join('')) {
+        report('topPattern',
+          `topPattern is [${pattern.join(', ')}] but the state after setupMoves shows [${actual.join(', ')}]`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Check every entry of every step, plus id uniqueness across all files.
+   * @param {Object<string, Object[]>} datasets - e.g. { oll: [...], pll: [...] }
+   */
+  static validateAll(datasets) {
+    const problems = [];
+    const seen = new Map();
+
+    for (const [step, entries] of Object.entries(datasets)) {
+      for (const entry of entries) {
+        if (seen.has(entry.id)) {
+          problems.push({
+            id: entry.id, step, check: 'id',
+            message: `duplicate id (also in ${seen.get(entry.id)}.json)`,
+          });
+        } else {
+          seen.set(entry.id, step);
+        }
+        problems.push(...this.validateEntry(entry, step));
+      }
+    }
+
+    return problems;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Fills in the derivable parts of a data/*.json entry.
+ * - setupMoves may be left out: the case is set up by inverting the
+ *   algorithm (with its optional preAUF in front).
+ * - preAUF (e.g. "U'") is played as a leading AUF group, with its own step.
+ * - OLL/PLL recognition patterns are read off the state after setup.
+ * - alternatives: other algorithms for the same case, each with its own
+ *   optional preAUF, steps, notes and source. They start from the main
+ *   algorithm's setup.
+ */
+
+import { CubeModel } from './CubeModel.js';
+import { MoveParser } from './MoveParser.js';
+
+// Steps whose topPattern is a U-face orientation pattern
+export const PATTERN_STEPS = ['oll', 'pll'];
+
+export class CaseBuilder {
+  /**
+   * The algorithm as played, with the preAUF (if any) as a group in front.
+   */
+  static playedAlgorithm(entry) {
+    return entry.preAUF ? `(${entry.preAUF}) ${entry.algorithm}` : entry.algorithm;
+  }
+
+  /**
+   * The entry's setupMoves, or the inverse of the played algorithm.
+   */
+  static setupMoves(entry) {
+    if (entry.setupMoves !== undefined) return entry.setupMoves;
+    return MoveParser.toString(MoveParser.inverse(this.playedAlgorithm(entry)));
+  }
+
+  /**
+   * Cube state with the case set up, ready for the algorithm.
+   */
+  static stateAfterSetup(entry) {
+    const model = new CubeModel();
+    model.applyMoves(MoveParser.parse(this.setupMoves(entry)), false);
+    return model;
+  }
+
+  /**
+   * The entry's algorithms, main one first: the entry itself, then its
+   * alternatives.
+   */
+  static algorithms(entry) {
+    return [entry, ...(entry.alternatives || [])];
+  }
+
+  /**
+   * Return a copy of the entry with setupMoves, the played algorithm,
+   * the AUF step and (for OLL/PLL) the recognition pattern filled in.
+   * Alternatives get their played algorithm and AUF step too.
+   */
+  static prepare(entry, step) {
+    const prepared = {
+      ...entry,
+      ...this._prepareAlgorithm(entry),
+      setupMoves: this.setupMoves(entry),
+    };
+    if (entry.alternatives) {
+      prepared.alternatives = entry.alternatives.map(alt => ({ ...alt, ...this._prepareAlgorithm(alt) }));
+    }
+
+    if (PATTERN_STEPS.includes(step)) {
+      prepared.recognition = {
+        ...entry.recognition,
+        topPattern: this.stateAfterSetup(prepared).getTopPattern(),
+      };
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Played algorithm and steps (with the AUF step in front) of an entry
+   * or alternative.
+   */
+  static _prepareAlgorithm(alg) {
+    const prepared = { algorithm: this.playedAlgorithm(alg) };
+    if (alg.preAUF && alg.steps && alg.steps.length > 0) {
+      const aufMoves = MoveParser.parse(alg.preAUF).length;
+      prepared.steps = [
+        { moves: aufMoves, label: `${alg.preAUF}: AUF — turn the top layer so the case matches the diagram`, highlights: [] },
+        ...alg.steps,
+      ];
+    }
+    return prepared;
+  }
+}
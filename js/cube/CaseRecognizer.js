@@ -0,0 +1,136 @@
+/**
+ * Names the OLL or PLL case of a cube whose first two layers are solved,
+ * by matching it against data/oll.json or data/pll.json entries under
+ * U turns. Stickers are compared relative to the centers, so the color
+ * scheme and any y rotation of the cube do not matter.
+ */
+
+import { CubeModel } from './CubeModel.js';
+import { MoveParser } from './MoveParser.js';
+
+// Fewest moves first, so symmetric cases get the shortest pre-AUF
+const AUFS = ['', 'U', "U'", 'U2'];
+
+// Whole-cube rotations tried when the solved F2L is not on the bottom
+const ROTATIONS = ['', 'x2', 'x', "x'", 'z', "z'"];
+
+const SIDES = ['F', 'R', 'B', 'L'];
+
+// Last-layer stickers: the U face, then the top row of each side
+const LAST_LAYER = [
+  ...Array.from({ length: 9 }, (_, i) => ['U', i]),
+  ...SIDES.flatMap(face => [0, 1, 2].map(i => [face, i])),
+];
+
+// Case signatures, built once per case list
+const signatureCache = new WeakMap();
+
+export class CaseRecognizer {
+  /**
+   * Recognize the last-layer case the cube is waiting for.
+   * @param {CubeModel} model
+   * @param {object} cases
+   * @param {object[]} [cases.oll] - data/oll.json entries
+   * @param {object[]} [cases.pll] - data/pll.json entries
+   * @returns {{ step: string, id: string, name: string, preAUF: string,
+   *   rotation: string, case: object }|null} the matching entry, the U
+   *   turn to do before its algorithm, and the rotation (if any) that
+   *   puts the solved layers on the bottom. null if F2L is not solved,
+   *   the last layer is already solved, or no entry matches.
+   */
+  static recognize(model, { oll = [], pll = [] } = {}) {
+    const held = this._holdF2LDown(model);
+    if (!held) return null;
+    const stage = held.model.getStage();
+    if (stage === 'oll') return this._match(held, 'oll', oll);
+    if (stage === 'pll') return this._match(held, 'pll', pll);
+    return null;
+  }
+
+  /**
+   * OLL case of the cube, matching only which stickers show the top color.
+   */
+  static recognizeOLL(model, cases) {
+    const held = this._holdF2LDown(model);
+    return held && held.model.isF2LSolved() ? this._match(held, 'oll', cases) : null;
+  }
+
+  /**
+   * PLL case of the cube (last layer oriented), matching which side
+   * center each top-row sticker belongs to.
+   */
+  static recognizePLL(model, cases) {
+    const held = this._holdF2LDown(model);
+    return held && held.model.isLastLayerOriented() ? this._match(held, 'pll', cases) : null;
+  }
+
+  /**
+   * Page and card id for a recognition result, e.g. "pll.html#pll-corners-t-perm".
+   */
+  static link(result) {
+    return `${result.step}.html#${result.id}`;
+  }
+
+  /**
+   * The cube turned (if needed) so its solved first two layers are on
+   * the bottom, or null if no orientation has them solved.
+   */
+  static _holdF2LDown(model) {
+    for (const rotation of ROTATIONS) {
+      const copy = model.clone();
+      copy.applyMoves(MoveParser.parse(rotation), false);
+      if (copy.isF2LSolved()) return { model: copy, rotation };
+    }
+    return null;
+  }
+
+  static _match({ model, rotation }, step, cases) {
+    const index = this._signatures(step, cases);
+    for (const auf of AUFS) {
+      const copy = model.clone();
+      copy.applyMoves(MoveParser.parse(auf), false);
+      const entry = index.get(signature(copy, step));
+      if (entry) {
+        return { step, id: entry.id, name: entry.name, preAUF: auf, rotation, case: entry };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Map from state signature to entry. A PLL algorithm may leave an AUF
+   * at the end, so each PLL case is stored once per final U turn.
+   */
+  static _signatures(step, cases) {
+    if (!signatureCache.has(cases)) signatureCache.set(cases, {});
+    const cached = signatureCache.get(cases);
+    if (!cached[step]) {
+      const index = new Map();
+      for (const entry of cases) {
+        const postAUFs = step === 'pll' ? AUFS : [''];
+        for (const auf of postAUFs) {
+          const model = new CubeModel();
+          model.applyMoves(MoveParser.concat(MoveParser.inverse(auf), MoveParser.inverse(entry.algorithm)), false);
+          const key = signature(model, step);
+          if (!index.has(key)) index.set(key, entry);
+        }
+      }
+      cached[step] = index;
+    }
+    return cached[step];
+  }
+}
+
+/**
+ * OLL: which last-layer stickers show the U center's color.
+ * PLL: which side center each top-row sticker matches.
+ */
+function signature(model, step) {
+  const { faces } = model;
+  if (step === 'oll') {
+    return LAST_LAYER.map(([f, i]) => (faces[f][i] === faces.U[4] ? 1 : 0)).join('');
+  }
+  return LAST_LAYER.filter(([f]) => f !== 'U')
+    .map(([f, i]) => SIDES.find(side => faces[side][4] === faces[f][i]) || '?')
+    .join('');
+}
@@ -0,0 +1,178 @@
+/**
+ * Optimal cross solver (IDA*).
+ * Only the four cross edges matter, so the search state is where each
+ * one's cross-colored sticker is (24 edge sticker positions each). Move
+ * tables come from CubeModel itself, and a pruning table per cross color
+ * (a breadth-first search out from the solved cross, built on first use)
+ * gives the exact distance, so IDA* walks straight to every optimal
+ * solution. Every cross can be solved in 8 moves or fewer.
+ *
+ * Assumes the centers are in their home positions (face-turn scrambles).
+ */
+
+import { CubeModel } from './CubeModel.js';
+import { MoveParser } from './MoveParser.js';
+
+const MAX_LENGTH = 8;
+const FACES = ['U', 'D', 'R', 'L', 'F', 'B'];
+const OPPOSITE = { U: 'D', D: 'U', R: 'L', L: 'R', F: 'B', B: 'F' };
+
+// Every edge sticker position, [face, index]
+const EDGE_STICKERS = CubeModel.EDGE_CUBIES.flatMap(cubie => cubie.faces);
+const STICKER_INDEX = new Map(EDGE_STICKERS.map(([f, i], n) => [`${f}${i}`, n]));
+
+// 18 face turns with their sticker permutations: TABLE[n] is where the
+// sticker at EDGE_STICKERS[n] ends up
+const MOVES = FACES.flatMap(face => [face, `${face}'`, `${face}2`])
+  .map((name) => {
+    const move = MoveParser.parse(name)[0];
+    const labelled = new CubeModel();
+    for (const face of FACES) {
+      labelled.faces[face] = labelled.faces[face].map((_, i) => `${face}${i}`);
+    }
+    labelled.applyMove(move, false);
+    const table = new Array(EDGE_STICKERS.length);
+    for (const face of FACES) {
+      labelled.faces[face].forEach((label, i) => {
+        if (STICKER_INDEX.has(label)) table[STICKER_INDEX.get(label)] = STICKER_INDEX.get(`${face}${i}`);
+      });
+    }
+    return { name, face: move.face, table };
+  });
+
+const POSITIONS = EDGE_STICKERS.length;
+const STATE_COUNT = POSITIONS ** 4;
+const UNVISITED = 255;
+
+// Pruning tables, keyed by cross color
+const pruningTables = new Map();
+
+export class CrossSolver {
+  /**
+   * Every optimal solution for the cross of `color`. Solutions that
+   * differ only in the order of two commuting opposite-face turns are
+   * listed once.
+   * @param {CubeModel} model
+   * @param {object} [options]
+   * @param {string} [options.color] - Cross color (default: the D center)
+   * @returns {string[]} e.g. ["F R' D2 B", ...]; [""] if already solved
+   */
+  static solve(model, { color = model.faces.D[4] } = {}) {
+    const { start, table } = this._prepare(model, color);
+    const bound = table[start];
+    const results = [];
+    search(start, 0, bound, table, [], null, results);
+    return results;
+  }
+
+  /**
+   * Number of moves in an optimal solution for the cross of `color`.
+   */
+  static optimalLength(model, { color = model.faces.D[4] } = {}) {
+    const { start, table } = this._prepare(model, color);
+    return table[start];
+  }
+
+  /**
+   * A random move sequence, `length` long, that takes a solved cross to
+   * one needing exactly `length` moves. Appending it to any sequence
+   * that leaves the cross solved gives a scramble of that cross length.
+   */
+  static randomCrossScramble(length, { color = 'white', random = Math.random } = {}) {
+    const goal = encode(this._crossEdges(new CubeModel(), color));
+    const table = this._table(color, goal);
+    const candidates = [];
+    for (let state = 0; state < STATE_COUNT; state++) {
+      if (table[state] === length) candidates.push(state);
+    }
+    if (candidates.length === 0) return null;
+    const target = candidates[Math.floor(random() * candidates.length)];
+    const solutions = [];
+    search(target, 0, length, table, [], null, solutions, 1);
+    return MoveParser.toString(MoveParser.inverse(solutions[0]));
+  }
+
+  static _prepare(model, color) {
+    const goal = encode(this._crossEdges(new CubeModel(), color));
+    const start = encode(this._crossEdges(model, color));
+    return { start, table: this._table(color, goal) };
+  }
+
+  /**
+   * Sticker positions of the cross-colored stickers of the four edges
+   * belonging around the `color` center, in a fixed edge order.
+   */
+  static _crossEdges(model, color) {
+    const solved = new CubeModel();
+    const face = FACES.find(f => solved.faces[f][4] === color);
+    if (!face) throw new Error(`Unknown cross color: ${color}`);
+    return CubeModel.EDGE_CUBIES
+      .filter(cubie => cubie.faces.some(([f]) => f === face))
+      .map((cubie) => {
+        const colors = cubie.faces.map(([f]) => solved.faces[f][4]);
+        const piece = model.findPiece(colors);
+        if (!piece) throw new Error(`Missing edge: ${colors.join('-')}`);
+        const [f, i] = piece.faces[piece.colors.indexOf(color)];
+        return STICKER_INDEX.get(`${f}${i}`);
+      });
+  }
+
+  static _table(color, goal) {
+    if (!pruningTables.has(color)) {
+      const table = new Uint8Array(STATE_COUNT).fill(UNVISITED);
+      table[goal] = 0;
+      let frontier = [goal];
+      for (let depth = 0; frontier.length > 0 && depth < MAX_LENGTH; depth++) {
+        const next = [];
+        for (const state of frontier) {
+          for (const move of MOVES) {
+            const child = applyMove(state, move);
+            if (table[child] === UNVISITED) {
+              table[child] = depth + 1;
+              next.push(child);
+            }
+          }
+        }
+        frontier = next;
+      }
+      pruningTables.set(color, table);
+    }
+    return pruningTables.get(color);
+  }
+}
+
+function encode(positions) {
+  return positions.reduce((code, p) => code * POSITIONS + p, 0);
+}
+
+function applyMove(state, move) {
+  let result = 0;
+  for (let k = 3; k >= 0; k--) {
+    const shift = POSITIONS ** k;
+    const position = Math.floor(state / shift) % POSITIONS;
+    result = result * POSITIONS + move.table[position];
+  }
+  return result;
+}
+
+/**
+ * IDA* step: extend `path` while the pruning table says the bound can
+ * still be met. Same-face turns in a row are skipped, and of two
+ * opposite faces only the U-before-D (R-before-L, F-before-B) order.
+ */
+function search(state, depth, bound, table, path, lastFace, results, limit = Infinity) {
+  if (results.length >= limit) return;
+  const h = table[state];
+  if (depth + h > bound) return;
+  if (h === 0) {
+    results.push(path.join(' '));
+    return;
+  }
+  for (const move of MOVES) {
+    if (move.face === lastFace) continue;
+    if (OPPOSITE[move.face] === lastFace && FACES.indexOf(move.face) < FACES.indexOf(lastFace)) continue;
+    path.push(move.name);
+    search(applyMove(state, move), depth + 1, bound, table, path, move.face, results, limit);
+    path.pop();
+  }
+}
@@ -1,6 +1,6 @@
 /**
  * Animates face rotations on the 3D cube.
- * Uses temp THREE.Group reparenting to rotate 9 cubies at once.
+ * Uses temp THREE.Group reparenting to rotate a layer (or the whole cube) at once.
  */
 
 import * as THREE from 'three';
@@ -39,14 +39,12 @@ export class CubeAnimator {
     this.isAnimating = true;
     this._currentResolve = resolve;
 
-    const { axis, layer, direction, angle, double: isDouble, wide } = move;
+    const { axis, layers, direction, angle } = move;
 
-    // Get cubies in this layer (and middle layer for wide moves)
-    let layerCubies = this.renderer.getCubiesInLayer(axis, layer);
-    if (wide) {
-      const middleCubies = this.renderer.getCubiesInLayer(axis, 0);
-      layerCubies = layerCubies.concat(middleCubies);
-    }
+    // Get cubies in every layer the move turns (outer face, middle slice,
+    // face + middle for wide moves, or all three for rotations)
+    const layerCubies = layers.flatMap(layer =>
+      this.renderer.getCubiesInLayer(axis, layer));
 
     // Create temp group at scene origin
     const tempGroup = new THREE.Group();
@@ -6,7 +6,7 @@
 import { CubeModel } from './CubeModel.js';
 import { CubeRenderer } from './CubeRenderer.js';
 import { CubeAnimator } from './CubeAnimator.js';
-import { MoveParser } from './MoveParser.js';
+import { Move, MoveParser } from './MoveParser.js';
 
 export class CubeController {
   constructor(container) {
@@ -15,13 +15,17 @@ export class CubeController {
     this.animator = new CubeAnimator(this.renderer);
 
     this.moves = [];        // Parsed moves for current algorithm
+    this.startState = null; // CubeModel to start from instead of solved
     this.setupMoves = [];   // Setup moves (applied before algorithm)
     this.currentStep = 0;   // Current position in the algorithm
     this.isPlaying = false;
+    this.handTurning = false;
+    this._turnedByHand = false; // model is off the algorithm's states
     this._playAbort = false;
 
     this.onStepChange = null; // Callback: (currentStep, totalSteps) => {}
     this.onPlayStateChange = null; // Callback: (isPlaying) => {}
+    this.onTurn = null; // Callback: (move) => {} after a turn by hand
 
     // Initial render
     this.renderer.updateColors(this.model);
@@ -33,24 +37,53 @@ export class CubeController {
    * @param {string} [setupMoves] - Setup moves to apply first (cube starts in unsolved state)
    */
   loadAlgorithm(algorithm, setupMoves = '') {
+    this._load(algorithm, setupMoves ? MoveParser.parse(setupMoves) : [], null);
+  }
+
+  /**
+   * Load a cube state (e.g. entered sticker by sticker or from a link)
+   * and, optionally, an algorithm to play from it.
+   * @param {CubeModel} state - copied, so later changes to it don't leak in
+   * @param {string} [algorithm]
+   */
+  loadState(state, algorithm = '') {
+    this._load(algorithm, [], state.clone());
+  }
+
+  _load(algorithm, setupMoves, startState) {
     this.pause();
     this.animator.clearQueue();
 
     this.moves = MoveParser.parse(algorithm);
-    this.setupMoves = setupMoves ? MoveParser.parse(setupMoves) : [];
+    this.startState = startState;
+    this.setupMoves = setupMoves;
     this.currentStep = 0;
 
     // Reset cube, apply setup moves (no animation)
-    this.model.reset();
-    if (this.setupMoves.length > 0) {
-      this.model.applyMoves(this.setupMoves, false);
-    }
+    this._resetModel();
 
     this.renderer.resetCubies();
     this.renderer.updateColors(this.model);
     this._notifyStep();
   }
 
+  /**
+   * Put the model back to where the algorithm starts: the start state
+   * (or solved), then the setup moves.
+   */
+  _resetModel() {
+    if (this.startState) {
+      this.model.faces = this.startState.clone().faces;
+      this.model.history = [];
+    } else {
+      this.model.reset();
+    }
+    if (this.setupMoves.length > 0) {
+      this.model.applyMoves(this.setupMoves, false);
+    }
+    this._turnedByHand = false;
+  }
+
   /**
    * Play through the algorithm from current position.
    */
@@ -59,6 +92,8 @@ export class CubeController {
     if (this.currentStep >= this.moves.length) {
       // At the end — reset and replay
       this.reset();
+    } else if (this._turnedByHand) {
+      this._jumpTo(this.currentStep);
     }
 
     this.isPlaying = true;
@@ -101,6 +136,7 @@ export class CubeController {
   async stepForward() {
     if (this.isPlaying || this.animator.isAnimating) return;
     if (this.currentStep >= this.moves.length) return;
+    if (this._turnedByHand) this._jumpTo(this.currentStep);
 
     await this._executeStep(this.moves[this.currentStep]);
     this.currentStep++;
@@ -113,6 +149,7 @@ export class CubeController {
   async stepBackward() {
     if (this.isPlaying || this.animator.isAnimating) return;
     if (this.currentStep <= 0) return;
+    if (this._turnedByHand) this._jumpTo(this.currentStep);
 
     this.currentStep--;
     const move = this.moves[this.currentStep];
@@ -131,10 +168,7 @@ export class CubeController {
     this.animator.clearQueue();
     this.currentStep = 0;
 
-    this.model.reset();
-    if (this.setupMoves.length > 0) {
-      this.model.applyMoves(this.setupMoves, false);
-    }
+    this._resetModel();
 
     this.renderer.resetCubies();
     this.renderer.resetView();
@@ -142,6 +176,30 @@ export class CubeController {
     this._notifyStep();
   }
 
+  /**
+   * Let the user turn layers by dragging stickers (see
+   * CubeRenderer.setLayerTurner).
+   */
+  setHandTurning(enabled) {
+    this.handTurning = enabled;
+    this.renderer.setLayerTurner(enabled
+      ? (axis, layer, direction) => this.turn(Move.quarterTurn(axis, layer, direction))
+      : null);
+  }
+
+  /**
+   * Turn the cube by hand: animate the move and apply it to the model.
+   * It is not part of the algorithm: playing, stepping, reset() and
+   * goToStep() first go back to the algorithm's state at the current
+   * step. Ignored while a move is playing.
+   */
+  async turn(move) {
+    if (this.isPlaying || this.animator.isAnimating) return;
+    await this._executeStep(move);
+    this._turnedByHand = true;
+    if (this.onTurn) this.onTurn(move);
+  }
+
   /**
    * Set playback speed multiplier.
    */
@@ -152,18 +210,21 @@ export class CubeController {
   goToStep(targetStep) {
     if (this.isPlaying || this.animator.isAnimating) return;
     targetStep = Math.max(0, Math.min(targetStep, this.moves.length));
-    if (targetStep === this.currentStep) return;
+    if (targetStep === this.currentStep && !this._turnedByHand) return;
+    this._jumpTo(targetStep);
+  }
 
-    this.model.reset();
-    if (this.setupMoves.length > 0) {
-      this.model.applyMoves(this.setupMoves, false);
-    }
-    for (let i = 0; i < targetStep; i++) {
+  /**
+   * Show the algorithm's state after `step` moves, without animating.
+   */
+  _jumpTo(step) {
+    this._resetModel();
+    for (let i = 0; i < step; i++) {
       this.model.applyMove(this.moves[i], false);
     }
     this.renderer.resetCubies();
     this.renderer.updateColors(this.model);
-    this.currentStep = targetStep;
+    this.currentStep = step;
     this._notifyStep();
   }
 
@@ -176,18 +237,8 @@ export class CubeController {
     endStep = Math.max(startStep, Math.min(endStep, this.moves.length));
 
     // Jump to start instantly
-    if (startStep !== this.currentStep) {
-      this.model.reset();
-      if (this.setupMoves.length > 0) {
-        this.model.applyMoves(this.setupMoves, false);
-      }
-      for (let i = 0; i < startStep; i++) {
-        this.model.applyMove(this.moves[i], false);
-      }
-      this.renderer.resetCubies();
-      this.renderer.updateColors(this.model);
-      this.currentStep = startStep;
-      this._notifyStep();
+    if (startStep !== this.currentStep || this._turnedByHand) {
+      this._jumpTo(startStep);
     }
 
     // Animate from start to end
@@ -206,7 +257,7 @@ export class CubeController {
   }
 
   getModelAtMoveIndex(moveIndex) {
-    const snapshot = new CubeModel();
+    const snapshot = this.startState ? this.startState.clone() : new CubeModel();
     if (this.setupMoves.length > 0) {
       snapshot.applyMoves(this.setupMoves, false);
     }
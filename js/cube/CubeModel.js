@@ -8,6 +8,8 @@
  *   6 7 8
  */
 
+import { MoveParser } from './MoveParser.js';
+
 // Standard Rubik's cube colors
 const COLORS = {
   U: 'white',
@@ -99,20 +101,38 @@ export class CubeModel {
     }
 
     const face = move.face;
+    const times = move.double ? 2 : (move.prime ? 3 : 1);
 
-    if (move.double) {
-      this._rotateFace180(face);
-      this._applyEdgeCycle(face, 2);
-      if (move.wide) this._applyMiddleCycle(face, 2);
-    } else if (!move.prime) {
-      this._rotateFaceCW(face);
-      this._applyEdgeCycle(face, 1);
-      if (move.wide) this._applyMiddleCycle(face, 1);
+    if (ROTATION_FACES[face]) {
+      // Whole-cube rotation: outer face, middle slice, and the opposite
+      // face turning the other way
+      const [outer, opposite] = ROTATION_FACES[face];
+      this._turnFace(outer, times);
+      this._applyMiddleCycle(outer, times);
+      this._turnFace(opposite, 4 - times);
+    } else if (SLICE_FACES[face]) {
+      this._applyMiddleCycle(SLICE_FACES[face], times);
     } else {
+      this._turnFace(face, times);
+      if (move.wide) this._applyMiddleCycle(face, times);
+    }
+  }
+
+  /**
+   * Turn a single outer face clockwise `times` quarter turns.
+   */
+  _turnFace(face, times) {
+    // U and D stickers are indexed mirrored relative to the other faces
+    // (see the renderer's _posToIndex), so their stickers spin the other way.
+    const spin = MIRRORED_FACES.includes(face) ? (4 - times) % 4 : times;
+    if (spin === 1) {
+      this._rotateFaceCW(face);
+    } else if (spin === 2) {
+      this._rotateFace180(face);
+    } else if (spin === 3) {
       this._rotateFaceCCW(face);
-      this._applyEdgeCycle(face, 3);
-      if (move.wide) this._applyMiddleCycle(face, 3);
     }
+    this._applyEdgeCycle(face, times);
   }
 
   _applyEdgeCycle(face, times) {
@@ -150,15 +170,19 @@ export class CubeModel {
     return move;
   }
 
+  // Piece sticker positions, in the renderer's indexing (row 0 of U is
+  // its front edge, row 0 of D is its back edge). Each piece lists its
+  // orientation sticker first (U/D, or F/B for middle-layer edges);
+  // corners then go clockwise, which getPieces/fromPieces rely on.
   static EDGE_CUBIES = [
-    { faces: [['U',1],['B',1]] },  // UB
+    { faces: [['U',7],['B',1]] },  // UB
     { faces: [['U',3],['L',1]] },  // UL
     { faces: [['U',5],['R',1]] },  // UR
-    { faces: [['U',7],['F',1]] },  // UF
-    { faces: [['D',1],['F',7]] },  // DF
+    { faces: [['U',1],['F',1]] },  // UF
+    { faces: [['D',7],['F',7]] },  // DF
     { faces: [['D',3],['L',7]] },  // DL
     { faces: [['D',5],['R',7]] },  // DR
-    { faces: [['D',7],['B',7]] },  // DB
+    { faces: [['D',1],['B',7]] },  // DB
     { faces: [['F',3],['L',5]] },  // FL
     { faces: [['F',5],['R',3]] },  // FR
     { faces: [['B',3],['R',5]] },  // BR
@@ -166,16 +190,36 @@ export class CubeModel {
   ];
 
   static CORNER_CUBIES = [
-    { faces: [['U',0],['L',2],['B',0]] },  // ULB
-    { faces: [['U',2],['B',2],['R',0]] },  // UBR
-    { faces: [['U',6],['F',0],['L',0]] },  // UFL
-    { faces: [['U',8],['R',2],['F',2]] },  // URF
-    { faces: [['D',0],['L',6],['F',6]] },  // DLF
-    { faces: [['D',2],['F',8],['R',6]] },  // DFR
-    { faces: [['D',6],['B',6],['L',8]] },  // DBL
-    { faces: [['D',8],['R',8],['B',8]] },  // DBR
+    { faces: [['U',6],['L',0],['B',2]] },  // ULB
+    { faces: [['U',8],['B',0],['R',2]] },  // UBR
+    { faces: [['U',0],['F',0],['L',2]] },  // UFL
+    { faces: [['U',2],['R',0],['F',2]] },  // URF
+    { faces: [['D',6],['L',8],['F',6]] },  // DLF
+    { faces: [['D',8],['F',8],['R',6]] },  // DFR
+    { faces: [['D',0],['B',8],['L',6]] },  // DBL
+    { faces: [['D',2],['R',8],['B',6]] },  // DBR
   ];
 
+  // F2L slots (corner + edge) around the D face
+  static SLOTS = {
+    FR: {
+      corner: [['D',8],['F',8],['R',6]],
+      edge:   [['F',5],['R',3]],
+    },
+    FL: {
+      corner: [['D',6],['L',8],['F',6]],
+      edge:   [['F',3],['L',5]],
+    },
+    BR: {
+      corner: [['D',2],['R',8],['B',6]],
+      edge:   [['B',3],['R',5]],
+    },
+    BL: {
+      corner: [['D',0],['B',8],['L',6]],
+      edge:   [['B',5],['L',3]],
+    },
+  };
+
   findPiece(colors) {
     const cubies = colors.length === 2
       ? CubeModel.EDGE_CUBIES
@@ -200,11 +244,279 @@ export class CubeModel {
     return true;
   }
 
+  // --- Stage predicates ---
+  // Pieces count as solved when every sticker matches its face's center.
+  // F2L, OLL and AUF checks assume the cross is on D.
+
+  _isPieceSolved(stickers) {
+    return stickers.every(([f, i]) => this.faces[f][i] === this.faces[f][4]);
+  }
+
+  /**
+   * Cross of `color` solved: the four edges around the face with that
+   * center are in place and oriented. Defaults to the D face.
+   */
+  isCrossSolved(color = this.faces.D[4]) {
+    const face = FACE_NAMES.find(name => this.faces[name][4] === color);
+    if (!face) return false;
+    return CubeModel.EDGE_CUBIES
+      .filter(edge => edge.faces.some(([f]) => f === face))
+      .every(edge => this._isPieceSolved(edge.faces));
+  }
+
+  /**
+   * F2L slot ('FR', 'FL', 'BR' or 'BL') has its corner and edge solved.
+   */
+  isSlotSolved(slot) {
+    const def = CubeModel.SLOTS[slot];
+    if (!def) return false;
+    return this._isPieceSolved(def.corner) && this._isPieceSolved(def.edge);
+  }
+
+  isF2LSolved() {
+    return this.isCrossSolved() &&
+      Object.keys(CubeModel.SLOTS).every(slot => this.isSlotSolved(slot));
+  }
+
+  /**
+   * OLL done: first two layers solved and the U face a single color.
+   */
+  isLastLayerOriented() {
+    const u = this.faces.U;
+    return this.isF2LSolved() && u.every(c => c === u[4]);
+  }
+
+  /**
+   * Solved apart from a final U, U2 or U' turn.
+   */
+  isSolvedUpToAUF() {
+    return AUF_MOVES.some((auf) => {
+      const copy = this.clone();
+      copy.applyMoves(auf, false);
+      return copy.isSolved();
+    });
+  }
+
+  /**
+   * Name the CFOP step this cube is waiting for:
+   * 'cross', 'f2l', 'oll', 'pll', 'auf' or 'solved'.
+   */
+  getStage() {
+    if (this.isSolved()) return 'solved';
+    if (this.isSolvedUpToAUF()) return 'auf';
+    if (this.isLastLayerOriented()) return 'pll';
+    if (this.isF2LSolved()) return 'oll';
+    if (this.isCrossSolved()) return 'f2l';
+    return 'cross';
+  }
+
+  // --- State comparison ---
+
+  /**
+   * Same sticker colors in every position, or only in the positions of
+   * `stickers` ({ faceName: [indices] }) when given.
+   */
+  equals(other, stickers = null) {
+    if (stickers) {
+      return Object.entries(stickers).every(([name, indices]) =>
+        indices.every(i => this.faces[name][i] === other.faces[name][i]));
+    }
+    return FACE_NAMES.every(name =>
+      this.faces[name].every((c, i) => c === other.faces[name][i]));
+  }
+
+  /**
+   * Canonical string for the state, usable as a Map key.
+   */
+  stateKey() {
+    return FACE_NAMES.map(name => this.faces[name].join(',')).join('|');
+  }
+
+  /**
+   * 32-bit FNV-1a hash of the state.
+   */
+  hash() {
+    return CubeModel.hashString(this.stateKey());
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string.
+   */
+  static hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  /**
+   * Equal after some final U turn of this cube.
+   */
+  equalsModuloAUF(other, stickers = null) {
+    return AUF_MOVES.some((auf) => {
+      const copy = this.clone();
+      copy.applyMoves(auf, false);
+      return copy.equals(other, stickers);
+    });
+  }
+
+  /**
+   * Equal after some whole-cube rotation of this cube (24 orientations).
+   */
+  equalsModuloRotation(other, stickers = null) {
+    return CUBE_ORIENTATIONS.some((rotation) => {
+      const copy = this.clone();
+      copy.applyMoves(rotation, false);
+      return copy.equals(other, stickers);
+    });
+  }
+
+  /**
+   * Equal after some whole-cube rotation and then a U turn of this cube.
+   */
+  equalsModuloOrientation(other, stickers = null) {
+    return CUBE_ORIENTATIONS.some((rotation) => {
+      const copy = this.clone();
+      copy.applyMoves(rotation, false);
+      return copy.equalsModuloAUF(other, stickers);
+    });
+  }
+
+  /**
+   * stateKey() with the cube turned back to the standard orientation
+   * (centers as on a solved cube), so states that only differ by a
+   * whole-cube rotation share a key.
+   */
+  orientedKey() {
+    const solved = new CubeModel();
+    for (const rotation of CUBE_ORIENTATIONS) {
+      const copy = this.clone();
+      copy.applyMoves(rotation, false);
+      if (FACE_NAMES.every(name => copy.faces[name][4] === solved.faces[name][4])) {
+        return copy.stateKey();
+      }
+    }
+    return this.stateKey();
+  }
+
+  // --- Piece state ---
+
+  /**
+   * Describe the state piece by piece, relative to the centers:
+   * cp/ep[slot] = which piece (index into CORNER_CUBIES/EDGE_CUBIES) sits
+   * in that slot, co/eo[slot] = how far its orientation sticker is turned
+   * (corners 0-2 clockwise, edges 0-1). Returns null if some slot holds a
+   * color combination that is not a piece.
+   */
+  getPieces() {
+    const read = (cubies) => {
+      const solved = cubies.map(cubie => cubie.faces.map(([f]) => this.faces[f][4]));
+      const perm = [];
+      const orient = [];
+      for (const cubie of cubies) {
+        const colors = cubie.faces.map(([f, i]) => this.faces[f][i]);
+        const piece = solved.findIndex(target =>
+          [...target].sort().join() === [...colors].sort().join());
+        if (piece === -1) return null;
+        perm.push(piece);
+        orient.push(colors.indexOf(solved[piece][0]));
+      }
+      return { perm, orient };
+    };
+    const corners = read(CubeModel.CORNER_CUBIES);
+    const edges = read(CubeModel.EDGE_CUBIES);
+    if (!corners || !edges) return null;
+    return { cp: corners.perm, co: corners.orient, ep: edges.perm, eo: edges.orient };
+  }
+
+  /**
+   * Whether getPieces() describes a state reachable by turning: every
+   * piece present once, corner twist a multiple of 3, edge flips even,
+   * and corner and edge permutations of equal parity.
+   */
+  static isSolvable(pieces) {
+    if (!pieces) return false;
+    const { cp, co, ep, eo } = pieces;
+    const complete = (perm) => new Set(perm).size === perm.length;
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+    return complete(cp) && complete(ep) &&
+      sum(co) % 3 === 0 && sum(eo) % 2 === 0 &&
+      CubeModel.permutationParity(cp) === CubeModel.permutationParity(ep);
+  }
+
+  /**
+   * 0 for an even permutation, 1 for an odd one.
+   */
+  static permutationParity(perm) {
+    let parity = 0;
+    for (let i = 0; i < perm.length; i++) {
+      for (let j = i + 1; j < perm.length; j++) {
+        if (perm[i] > perm[j]) parity ^= 1;
+      }
+    }
+    return parity;
+  }
+
+  /**
+   * Build a cube (standard colors) from a piece description in
+   * getPieces() form.
+   */
+  static fromPieces({ cp, co, ep, eo }) {
+    const model = new CubeModel();
+    const place = (cubies, perm, orient) => {
+      cubies.forEach((cubie, slot) => {
+        const colors = cubies[perm[slot]].faces.map(([f]) => COLORS[f]);
+        const n = colors.length;
+        cubie.faces.forEach(([f, i], k) => {
+          model.faces[f][i] = colors[(k - orient[slot] + n) % n];
+        });
+      });
+    };
+    place(CubeModel.CORNER_CUBIES, cp, co);
+    place(CubeModel.EDGE_CUBIES, ep, eo);
+    return model;
+  }
+
   getFaceColor(faceName, index) {
     return this.faces[faceName][index];
   }
+
+  /**
+   * Top-face recognition pattern in PatternDiagram's layout: 9 cells,
+   * row-major with the back edge on top, 1 where the sticker matches the
+   * U center. (The model itself indexes U with its front edge first.)
+   */
+  getTopPattern() {
+    const u = this.faces.U;
+    return Array.from({ length: 9 }, (_, cell) => {
+      const row = Math.floor(cell / 3);
+      const col = cell % 3;
+      return u[(2 - row) * 3 + col] === u[4] ? 1 : 0;
+    });
+  }
 }
 
+const AUF_MOVES = ['', 'U', 'U2', "U'"].map(alg => MoveParser.parse(alg));
+
+// One rotation per orientation: each face brought up, then four y turns
+const CUBE_ORIENTATIONS = ['', 'x', 'x2', "x'", 'z', "z'"].flatMap(up =>
+  ['', 'y', 'y2', "y'"].map(turn => MoveParser.parse(`${up} ${turn}`)));
+
+const MIRRORED_FACES = ['U', 'D'];
+
+// Slice moves reuse the middle cycle of the face they follow.
+const SLICE_FACES = { M: 'L', E: 'D', S: 'F' };
+
+// Rotations turn the outer face and middle slice together, and the
+// opposite face in the reverse direction.
+const ROTATION_FACES = {
+  x: ['R', 'L'],
+  y: ['U', 'D'],
+  z: ['F', 'B'],
+};
+
 // Edge cycle definitions for each face move (CW direction).
 // Each entry: 4 strips of 3 [face, index] pairs to cycle.
 // Indices match the renderer's _posToIndex convention.
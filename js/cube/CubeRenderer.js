@@ -1,6 +1,7 @@
 /**
  * Three.js renderer for the Rubik's cube.
  * Creates 26 cubies with colored sticker planes, OrbitControls for interaction.
+ * Stickers can also be picked (clicked) or dragged to turn their layer.
  */
 
 import * as THREE from 'three';
@@ -10,6 +11,20 @@ const CUBIE_SIZE = 0.95;
 const GAP = 1.0; // Center-to-center distance between cubies
 const STICKER_OFFSET = 0.501; // Slight offset from cubie face
 const CORNER_RADIUS = 0.05;
+const PICK_TOLERANCE = 5; // px the pointer may move and still count as a click
+const TURN_THRESHOLD = 12; // px a drag from a sticker must travel to turn its layer
+
+const AXES = ['x', 'y', 'z'];
+
+// Outward normal of each face
+const FACE_NORMALS = {
+  R: new THREE.Vector3(1, 0, 0),
+  L: new THREE.Vector3(-1, 0, 0),
+  U: new THREE.Vector3(0, 1, 0),
+  D: new THREE.Vector3(0, -1, 0),
+  F: new THREE.Vector3(0, 0, 1),
+  B: new THREE.Vector3(0, 0, -1),
+};
 
 // Map face names to sticker colors (hex)
 const COLOR_HEX = {
@@ -32,6 +47,8 @@ export class CubeRenderer {
     this.renderer = null;
     this.controls = null;
     this.animationId = null;
+    this._picker = null;
+    this._turner = null;
 
     this._init();
   }
@@ -210,53 +227,195 @@ export class CubeRenderer {
    */
   updateColors(cubeModel) {
     for (const cubie of this.cubies) {
-      const { mesh, x, y, z } = cubie;
-      const stickers = mesh.children.filter(c => c.userData.isSticker);
-
+      const stickers = cubie.mesh.children.filter(c => c.userData.isSticker);
       for (const sticker of stickers) {
-        // Compute the sticker's world-space normal to determine which face it's on.
-        // The sticker plane's local normal is (0,0,1). We transform it through
-        // both the sticker's local rotation AND the parent cubie group's rotation
-        // to get the actual world-facing direction.
-        const normal = new THREE.Vector3(0, 0, 1);
-        sticker.updateWorldMatrix(true, false);
-        const normalMatrix = new THREE.Matrix3().getNormalMatrix(sticker.matrixWorld);
-        normal.applyMatrix3(normalMatrix).normalize();
-
-        const nx = Math.round(normal.x);
-        const ny = Math.round(normal.y);
-        const nz = Math.round(normal.z);
-
-        let faceName, index;
-
-        if (nx === 1) {
-          faceName = 'R';
-          index = this._posToIndex('R', x, y, z);
-        } else if (nx === -1) {
-          faceName = 'L';
-          index = this._posToIndex('L', x, y, z);
-        } else if (ny === 1) {
-          faceName = 'U';
-          index = this._posToIndex('U', x, y, z);
-        } else if (ny === -1) {
-          faceName = 'D';
-          index = this._posToIndex('D', x, y, z);
-        } else if (nz === 1) {
-          faceName = 'F';
-          index = this._posToIndex('F', x, y, z);
-        } else if (nz === -1) {
-          faceName = 'B';
-          index = this._posToIndex('B', x, y, z);
-        }
-
-        if (faceName !== undefined && index !== undefined) {
-          const colorName = cubeModel.getFaceColor(faceName, index);
+        const location = this._locateSticker(cubie, sticker);
+        if (location) {
+          const colorName = cubeModel.getFaceColor(location.faceName, location.index);
           sticker.material.color.setHex(COLOR_HEX[colorName]);
         }
       }
     }
   }
 
+  /**
+   * Model face and sticker index of a sticker mesh where it is now.
+   * Computes the sticker's world-space normal to determine which face
+   * it's on: the plane's local normal (0,0,1) is transformed through both
+   * the sticker's local rotation AND the parent cubie group's rotation.
+   * @returns {{ faceName: string, index: number }|null}
+   */
+  _locateSticker(cubie, sticker) {
+    const { x, y, z } = cubie;
+    const normal = new THREE.Vector3(0, 0, 1);
+    sticker.updateWorldMatrix(true, false);
+    const normalMatrix = new THREE.Matrix3().getNormalMatrix(sticker.matrixWorld);
+    normal.applyMatrix3(normalMatrix).normalize();
+
+    const nx = Math.round(normal.x);
+    const ny = Math.round(normal.y);
+    const nz = Math.round(normal.z);
+
+    let faceName;
+    if (nx === 1) faceName = 'R';
+    else if (nx === -1) faceName = 'L';
+    else if (ny === 1) faceName = 'U';
+    else if (ny === -1) faceName = 'D';
+    else if (nz === 1) faceName = 'F';
+    else if (nz === -1) faceName = 'B';
+    else return null;
+
+    return { faceName, index: this._posToIndex(faceName, x, y, z) };
+  }
+
+  /**
+   * Sticker picking, for editing the cube by clicking stickers: a click
+   * (press and release without dragging the view) on a sticker calls
+   * onPick(faceName, index). Pass null to turn picking off.
+   */
+  setStickerPicker(onPick) {
+    const canvas = this.renderer.domElement;
+    if (this._picker) {
+      canvas.removeEventListener('pointerdown', this._picker.down);
+      canvas.removeEventListener('pointerup', this._picker.up);
+      this._picker = null;
+    }
+    if (!onPick) return;
+
+    let start = null;
+    const down = (e) => {
+      start = { x: e.clientX, y: e.clientY };
+    };
+    const up = (e) => {
+      if (!start) return;
+      const moved = Math.hypot(e.clientX - start.x, e.clientY - start.y);
+      start = null;
+      if (moved > PICK_TOLERANCE) return; // orbiting, not clicking
+      const location = this.pickSticker(e.clientX, e.clientY);
+      if (location) onPick(location.faceName, location.index);
+    };
+    canvas.addEventListener('pointerdown', down);
+    canvas.addEventListener('pointerup', up);
+    this._picker = { down, up };
+  }
+
+  /**
+   * The sticker under a point of the page, by raycasting from the camera.
+   * @returns {{ faceName: string, index: number }|null}
+   */
+  pickSticker(clientX, clientY) {
+    const hit = this._hitSticker(clientX, clientY);
+    return hit ? this._locateSticker(hit.cubie, hit.sticker) : null;
+  }
+
+  /**
+   * The sticker mesh under a point of the page, its cubie and the world
+   * point hit.
+   * @returns {{ cubie: Object, sticker: THREE.Mesh, point: THREE.Vector3 }|null}
+   */
+  _hitSticker(clientX, clientY) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+    const pointer = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, this.camera);
+
+    // The nearest hit may be a cubie's plastic body, which hides what's behind it
+    const [hit] = raycaster.intersectObjects(this.cubies.map(c => c.mesh), true);
+    if (!hit || !hit.object.userData.isSticker) return null;
+    const cubie = this.cubies.find(c => c.mesh === hit.object.parent);
+    return cubie ? { cubie, sticker: hit.object, point: hit.point } : null;
+  }
+
+  /**
+   * Turning by hand: a drag that starts on a sticker turns the layer
+   * that carries the sticker the way the pointer went, calling
+   * onTurn(axis, layer, direction) once per drag (direction as the
+   * animator turns, +1 = counter-clockwise about the positive axis).
+   * Drags that start off the cube still orbit the view. Works with mouse,
+   * pen and touch; pass null to turn it off.
+   */
+  setLayerTurner(onTurn) {
+    const canvas = this.renderer.domElement;
+    if (this._turner) {
+      canvas.removeEventListener('pointerdown', this._turner.down, true);
+      canvas.removeEventListener('pointermove', this._turner.move);
+      canvas.removeEventListener('pointerup', this._turner.end);
+      canvas.removeEventListener('pointercancel', this._turner.end);
+      this._turner = null;
+      this.controls.enabled = true;
+    }
+    if (!onTurn) return;
+
+    let drag = null;
+    // Capture phase, so OrbitControls is switched off before it sees the press
+    const down = (e) => {
+      if (!e.isPrimary) return; // a second finger, e.g. pinching to zoom
+      const hit = this._hitSticker(e.clientX, e.clientY);
+      if (!hit) return;
+      drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, turned: false, ...hit };
+      this.controls.enabled = false;
+      canvas.setPointerCapture(e.pointerId);
+    };
+    const move = (e) => {
+      if (!drag || drag.turned || e.pointerId !== drag.pointerId) return;
+      const dx = e.clientX - drag.x;
+      const dy = e.clientY - drag.y;
+      if (Math.hypot(dx, dy) < TURN_THRESHOLD) return;
+      drag.turned = true;
+      const { axis, layer, direction } = this._turnForDrag(drag, dx, dy);
+      onTurn(axis, layer, direction);
+    };
+    const end = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      drag = null;
+      this.controls.enabled = true;
+    };
+    canvas.addEventListener('pointerdown', down, true);
+    canvas.addEventListener('pointermove', move);
+    canvas.addEventListener('pointerup', end);
+    canvas.addEventListener('pointercancel', end);
+    this._turner = { down, move, end };
+  }
+
+  /**
+   * The layer turn for a drag of (dx, dy) px from a sticker: of the two
+   * directions along the sticker's face, take the one whose on-screen
+   * direction is closest to the drag; the layer turns about the axis
+   * at right angles to it and to the face normal.
+   */
+  _turnForDrag({ cubie, sticker, point }, dx, dy) {
+    const normal = FACE_NORMALS[this._locateSticker(cubie, sticker).faceName];
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const start = point.clone().project(this.camera);
+
+    let best = null;
+    for (const axis of AXES) {
+      if (normal[axis] !== 0) continue;
+      const end = point.clone();
+      end[axis] += 1;
+      end.project(this.camera);
+      const sx = (end.x - start.x) * rect.width / 2;
+      const sy = -(end.y - start.y) * rect.height / 2;
+      const score = (sx * dx + sy * dy) / Math.hypot(sx, sy);
+      if (!best || Math.abs(score) > Math.abs(best.score)) best = { axis, score };
+    }
+
+    // Turning about normal × along moves the face's surface along `along`
+    const along = new THREE.Vector3();
+    along[best.axis] = Math.sign(best.score);
+    const turnAxis = new THREE.Vector3().crossVectors(normal, along);
+    const axis = AXES.find(a => turnAxis[a] !== 0);
+    return {
+      axis,
+      layer: Math.round(cubie.mesh.position[axis]),
+      direction: turnAxis[axis],
+    };
+  }
+
   /**
    * Map 3D position to face sticker index.
    * Face sticker layout (looking at face):
@@ -302,37 +461,17 @@ export class CubeRenderer {
     const stickerSet = new Set(stickers.map(([f, i]) => `${f}:${i}`));
 
     for (const cubie of this.cubies) {
-      const { mesh, x, y, z } = cubie;
-      const children = mesh.children.filter(c => c.userData.isSticker);
+      const children = cubie.mesh.children.filter(c => c.userData.isSticker);
       for (const sticker of children) {
-        const normal = new THREE.Vector3(0, 0, 1);
-        sticker.updateWorldMatrix(true, false);
-        const normalMatrix = new THREE.Matrix3().getNormalMatrix(sticker.matrixWorld);
-        normal.applyMatrix3(normalMatrix).normalize();
-
-        const nx = Math.round(normal.x);
-        const ny = Math.round(normal.y);
-        const nz = Math.round(normal.z);
-
-        let faceName, index;
-        if (nx === 1) { faceName = 'R'; index = this._posToIndex('R', x, y, z); }
-        else if (nx === -1) { faceName = 'L'; index = this._posToIndex('L', x, y, z); }
-        else if (ny === 1) { faceName = 'U'; index = this._posToIndex('U', x, y, z); }
-        else if (ny === -1) { faceName = 'D'; index = this._posToIndex('D', x, y, z); }
-        else if (nz === 1) { faceName = 'F'; index = this._posToIndex('F', x, y, z); }
-        else if (nz === -1) { faceName = 'B'; index = this._posToIndex('B', x, y, z); }
-
-        if (faceName !== undefined && index !== undefined) {
-          const key = `${faceName}:${index}`;
-          if (stickerSet.has(key)) {
-            this._savedStickerProps.push({
-              material: sticker.material,
-              emissive: sticker.material.emissive.getHex(),
-              emissiveIntensity: sticker.material.emissiveIntensity,
-            });
-            sticker.material.emissive.setHex(0x6366f1);
-            sticker.material.emissiveIntensity = 0.6;
-          }
+        const location = this._locateSticker(cubie, sticker);
+        if (location && stickerSet.has(`${location.faceName}:${location.index}`)) {
+          this._savedStickerProps.push({
+            material: sticker.material,
+            emissive: sticker.material.emissive.getHex(),
+            emissiveIntensity: sticker.material.emissiveIntensity,
+          });
+          sticker.material.emissive.setHex(0x6366f1);
+          sticker.material.emissiveIntensity = 0.6;
         }
       }
     }
@@ -368,6 +507,8 @@ export class CubeRenderer {
       cancelAnimationFrame(this.animationId);
     }
     window.removeEventListener('resize', this._onResize);
+    this.setStickerPicker(null);
+    this.setLayerTurner(null);
     this.controls.dispose();
     this.renderer.dispose();
     if (this.renderer.domElement.parentNode) {
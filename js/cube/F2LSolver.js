@@ -0,0 +1,329 @@
+/**
+ * F2L case identification and slot insertion search.
+ *
+ * identify() names the standard F2L case (one of 41) of a slot's corner
+ * and edge, read as if the slot were front-right. solve() is an IDA*
+ * search for the shortest insertion of one slot that keeps the cross and
+ * every already-solved slot intact. Like CrossSolver, the search only
+ * follows the pieces that matter, each as the position of one of its
+ * stickers, with move tables taken from CubeModel.
+ *
+ * Assumes the cross is on D; the cross color is the D center.
+ */
+
+import { CubeModel } from './CubeModel.js';
+import { MoveParser } from './MoveParser.js';
+import { MoveSimplifier } from './MoveSimplifier.js';
+
+export const SLOT_NAMES = Object.keys(CubeModel.SLOTS);
+
+// Rotation that brings each slot to the front-right
+const TO_FRONT_RIGHT = { FR: '', FL: "y'", BR: 'y', BL: 'y2' };
+
+const MAX_LENGTH = 12;
+
+// Insertions never need D turns; leaving them out keeps the search short
+const FACES = ['U', 'R', 'L', 'F', 'B'];
+const OPPOSITE = { R: 'L', L: 'R', F: 'B', B: 'F' };
+
+const EDGE_STICKERS = CubeModel.EDGE_CUBIES.flatMap(cubie => cubie.faces);
+const CORNER_STICKERS = CubeModel.CORNER_CUBIES.flatMap(cubie => cubie.faces);
+const POSITIONS = 24;
+
+const key = ([f, i]) => `${f}${i}`;
+const EDGE_INDEX = new Map(EDGE_STICKERS.map((s, n) => [key(s), n]));
+const CORNER_INDEX = new Map(CORNER_STICKERS.map((s, n) => [key(s), n]));
+
+// 15 face turns, each with where every edge and corner sticker ends up
+const MOVES = FACES.flatMap(face => [face, `${face}'`, `${face}2`])
+  .map((name) => {
+    const move = MoveParser.parse(name)[0];
+    const labelled = new CubeModel();
+    for (const f of Object.keys(labelled.faces)) {
+      labelled.faces[f] = labelled.faces[f].map((_, i) => `${f}${i}`);
+    }
+    labelled.applyMove(move, false);
+    const edge = new Array(POSITIONS);
+    const corner = new Array(POSITIONS);
+    for (const [f, stickers] of Object.entries(labelled.faces)) {
+      stickers.forEach((label, i) => {
+        if (EDGE_INDEX.has(label)) edge[EDGE_INDEX.get(label)] = EDGE_INDEX.get(`${f}${i}`);
+        if (CORNER_INDEX.has(label)) corner[CORNER_INDEX.get(label)] = CORNER_INDEX.get(`${f}${i}`);
+      });
+    }
+    return { name, face: move.face, edge, corner };
+  });
+
+// Front-right slot and top-layer pieces, for identify()
+const FR = CubeModel.SLOTS.FR;
+const URF = CubeModel.CORNER_CUBIES[3].faces;
+const TOP_EDGES = CubeModel.EDGE_CUBIES.slice(0, 4);
+const AUFS = ['', 'U', 'U2', "U'"];
+
+// How readCase names a case. Corner: on top (U) or in the slot (D), then
+// where its cross-colored sticker faces. Edge: where it is and which of
+// its colors is up (or, in the slot, faces front).
+const CORNER_TWISTS = ['U', 'R', 'F'];
+const SLOT_TWISTS = ['D', 'F', 'R'];
+
+// The 41 cases in the standard numbering, so CASE_KEYS[n - 1] is F2L n.
+// Odd and even cases are mostly mirror pairs.
+const CASE_KEYS = [
+  // 1-4: basic inserts
+  'UF-URF', 'UR-UFR', 'UF-ULR', 'UR-UBF',
+  // 5-16: corner on top, cross color facing the side
+  'UF-UBF', 'UR-ULR', 'UF-ULF', 'UR-UBR',
+  'UF-UBR', 'UR-ULF', 'UF-URR', 'UR-UFF',
+  'UF-UFR', 'UR-URF', 'UF-UFF', 'UR-URR',
+  // 17-24: corner on top, cross color facing up
+  'UU-URF', 'UU-UFR', 'UU-UBF', 'UU-ULR',
+  'UU-ULF', 'UU-UBR', 'UU-UFF', 'UU-URR',
+  // 25-30: corner in the slot, edge on top
+  'DD-UF', 'DD-UR', 'DF-UF', 'DR-UR', 'DF-UR', 'DR-UF',
+  // 31-36: corner on top, edge in the slot
+  'UU-FRR', 'UU-FRF', 'UF-FRF', 'UR-FRF', 'UF-FRR', 'UR-FRR',
+  // 37-41: both in the slot
+  'DD-FRR', 'DF-FRF', 'DR-FRF', 'DF-FRR', 'DR-FRR',
+];
+
+const FACE_WORDS = { U: 'up', D: 'down', F: 'front', R: 'right' };
+const EDGE_WORDS = { UF: 'front', UR: 'right', UB: 'back', UL: 'left' };
+
+// Pruning tables by tracked-piece goals
+const pruningTables = new Map();
+
+export class F2LSolver {
+  /**
+   * Identify the F2L case of one slot.
+   * @param {CubeModel} model - cross solved on D
+   * @param {string} slot - 'FR', 'FL', 'BR' or 'BL'
+   * @returns {{ slot: string, solved: boolean, number: number|null,
+   *   key: string|null, auf: string, description: string }}
+   *   number is 1-41 (null when a piece is stuck in another slot); auf is
+   *   the U turn that brings the case to its standard position
+   */
+  static identify(model, slot) {
+    if (model.isSlotSolved(slot)) {
+      return { slot, solved: true, number: null, key: null, auf: '', description: 'Solved' };
+    }
+    const cube = model.clone();
+    cube.applyMoves(MoveParser.parse(TO_FRONT_RIGHT[slot]), false);
+    const colors = { D: cube.faces.D[4], F: cube.faces.F[4], R: cube.faces.R[4] };
+
+    for (const auf of AUFS) {
+      const turned = cube.clone();
+      turned.applyMoves(MoveParser.parse(auf), false);
+      const caseKey = readCase(turned, colors);
+      if (caseKey) {
+        return {
+          slot,
+          solved: false,
+          number: CASE_KEYS.indexOf(caseKey) + 1,
+          key: caseKey,
+          auf,
+          description: describe(caseKey, colors),
+        };
+      }
+    }
+    return {
+      slot, solved: false, number: null, key: null, auf: '',
+      description: 'Corner or edge stuck in another slot',
+    };
+  }
+
+  /**
+   * Shortest insertions for one slot (at most `limit`, fewest quarter
+   * turns first). The cross and every other slot solved now stay solved.
+   * @returns {string[]} [] if the slot needs more than 12 moves, [""] if
+   *   it is already solved
+   */
+  static solve(model, slot, { limit = 10 } = {}) {
+    const pieces = this._trackedPieces(model, slot);
+    const start = pieces.map(p => p.position);
+    const heuristics = this._heuristics(pieces);
+    const h = state => Math.max(0, ...heuristics.map(({ indices, table }) =>
+      table[encode(indices.map(i => state[i]))]));
+    const kinds = pieces.map(p => p.kind);
+
+    for (let bound = h(start); bound <= MAX_LENGTH; bound++) {
+      const results = [];
+      search(start, 0, bound, kinds, h, [], null, results, limit * 4);
+      if (results.length > 0) {
+        return results
+          .map(alg => ({ alg, qtm: MoveSimplifier.metrics(MoveParser.parse(alg)).qtm }))
+          .sort((a, b) => a.qtm - b.qtm)
+          .slice(0, limit)
+          .map(r => r.alg);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Case and best insertions for all four slots, shortest first.
+   * @returns {{ slot, solved, number, key, auf, description,
+   *   solutions: string[], length: number }[]}
+   */
+  static analyze(model, options) {
+    return SLOT_NAMES
+      .map((slot) => {
+        const solutions = model.isSlotSolved(slot) ? [''] : this.solve(model, slot, options);
+        const length = solutions.length ? MoveParser.parse(solutions[0]).length : Infinity;
+        return { ...this.identify(model, slot), solutions, length };
+      })
+      .sort((a, b) => a.length - b.length);
+  }
+
+  /**
+   * The target slot's corner and edge, then the cross edges and the
+   * pieces of other solved slots, each with the position of its first
+   * sticker's color and where that sticker belongs.
+   */
+  static _trackedPieces(model, slot) {
+    const center = f => model.faces[f][4];
+    const piece = (kind, faces, role) => {
+      const colors = faces.map(([f]) => center(f));
+      const found = model.findPiece(colors);
+      if (!found) throw new Error(`Missing piece: ${colors.join('-')}`);
+      const index = kind === 'edge' ? EDGE_INDEX : CORNER_INDEX;
+      const sticker = found.faces[found.colors.indexOf(colors[0])];
+      return { kind, role, position: index.get(key(sticker)), goal: index.get(key(faces[0])) };
+    };
+
+    const pieces = [
+      piece('corner', CubeModel.SLOTS[slot].corner, 'target'),
+      piece('edge', CubeModel.SLOTS[slot].edge, 'target'),
+      ...CubeModel.EDGE_CUBIES
+        .filter(cubie => cubie.faces[0][0] === 'D')
+        .map(cubie => piece('edge', cubie.faces, 'cross')),
+    ];
+    for (const other of SLOT_NAMES) {
+      if (other !== slot && model.isSlotSolved(other)) {
+        pieces.push(piece('corner', CubeModel.SLOTS[other].corner, other));
+        pieces.push(piece('edge', CubeModel.SLOTS[other].edge, other));
+      }
+    }
+    return pieces;
+  }
+
+  /**
+   * Lower bounds for the search: the target pair with each cross edge,
+   * and each solved slot's pair on its own.
+   */
+  static _heuristics(pieces) {
+    const groups = [];
+    pieces.forEach((p, i) => {
+      if (p.role === 'cross') groups.push([0, 1, i]);
+    });
+    const preserved = [...new Set(pieces.map(p => p.role))].filter(r => r !== 'target' && r !== 'cross');
+    for (const role of preserved) {
+      groups.push(pieces.flatMap((p, i) => (p.role === role ? [i] : [])));
+    }
+    return groups.map(indices => ({
+      indices,
+      table: this._table(indices.map(i => pieces[i])),
+    }));
+  }
+
+  static _table(pieces) {
+    const tableKey = pieces.map(p => `${p.kind}${p.goal}`).join(',');
+    if (!pruningTables.has(tableKey)) {
+      const kinds = pieces.map(p => p.kind);
+      const table = new Uint8Array(POSITIONS ** pieces.length).fill(255);
+      const goal = pieces.map(p => p.goal);
+      table[encode(goal)] = 0;
+      let frontier = [goal];
+      for (let depth = 0; frontier.length > 0; depth++) {
+        const next = [];
+        for (const state of frontier) {
+          for (const move of MOVES) {
+            const child = applyMove(state, kinds, move);
+            const code = encode(child);
+            if (table[code] === 255) {
+              table[code] = depth + 1;
+              next.push(child);
+            }
+          }
+        }
+        frontier = next;
+      }
+      pruningTables.set(tableKey, table);
+    }
+    return pruningTables.get(tableKey);
+  }
+}
+
+function encode(positions) {
+  return positions.reduce((code, p) => code * POSITIONS + p, 0);
+}
+
+function applyMove(state, kinds, move) {
+  return state.map((position, i) => move[kinds[i]][position]);
+}
+
+/**
+ * IDA* step, with the same move ordering rules as CrossSolver.
+ */
+function search(state, depth, bound, kinds, h, path, lastFace, results, limit) {
+  if (results.length >= limit) return;
+  const estimate = h(state);
+  if (depth + estimate > bound) return;
+  if (estimate === 0) {
+    results.push(path.join(' '));
+    return;
+  }
+  for (const move of MOVES) {
+    if (move.face === lastFace) continue;
+    if (OPPOSITE[move.face] === lastFace && FACES.indexOf(move.face) < FACES.indexOf(lastFace)) continue;
+    path.push(move.name);
+    search(applyMove(state, kinds, move), depth + 1, bound, kinds, h, path, move.face, results, limit);
+    path.pop();
+  }
+}
+
+/**
+ * Case key of a cube held with the slot at front-right, or null if the
+ * pieces are not in one of the 41 standard places after this AUF.
+ */
+function readCase(cube, colors) {
+  const read = stickers => stickers.map(([f, i]) => cube.faces[f][i]);
+  const holds = (stickers, wanted) =>
+    [...read(stickers)].sort().join() === [...wanted].sort().join();
+  const twist = (stickers, names) => names[read(stickers).indexOf(colors.D)];
+  const upColor = cubie => (cube.faces.U[cubie.faces[0][1]] === colors.F ? 'F' : 'R');
+  const slotEdge = () => (cube.faces.F[5] === colors.F ? 'F' : 'R');
+
+  const corner = [colors.D, colors.F, colors.R];
+  const edge = [colors.F, colors.R];
+  const topEdge = TOP_EDGES.find(cubie => holds(cubie.faces, edge));
+
+  if (holds(URF, corner)) {
+    const cornerKey = `U${twist(URF, CORNER_TWISTS)}`;
+    if (topEdge) return `${cornerKey}-U${topEdge.faces[1][0]}${upColor(topEdge)}`;
+    if (holds(FR.edge, edge)) return `${cornerKey}-FR${slotEdge()}`;
+  } else if (holds(FR.corner, corner)) {
+    const cornerKey = `D${twist(FR.corner, SLOT_TWISTS)}`;
+    // Edge on top: standard position is over the center of its side color
+    if (topEdge) {
+      const [, [side, index]] = topEdge.faces;
+      const overCenter = (side === 'F' || side === 'R') && cube.faces[side][index] === colors[side];
+      return overCenter ? `${cornerKey}-U${upColor(topEdge)}` : null;
+    }
+    if (holds(FR.edge, edge)) return `${cornerKey}-FR${slotEdge()}`;
+  }
+  return null;
+}
+
+function describe(caseKey, colors) {
+  const [corner, edge] = caseKey.split('-');
+  const cross = colors.D;
+  const edgeColor = edge.endsWith('F') ? colors.F : colors.R;
+  const cornerText = corner[0] === 'U'
+    ? `Corner on top, ${cross} facing ${FACE_WORDS[corner[1]]}`
+    : corner[1] === 'D' ? 'Corner in slot' : `Corner in slot, ${cross} facing ${FACE_WORDS[corner[1]]}`;
+  const edgeText = edge.startsWith('FR')
+    ? `edge in slot, ${edgeColor} facing front`
+    : edge.length === 2 ? `edge on top, ${edgeColor} up`
+      : `edge at ${EDGE_WORDS[edge.slice(0, 2)]}, ${edgeColor} up`;
+  return `${cornerText}; ${edgeText}`;
+}
@@ -1,10 +1,34 @@
 /**
  * Parses Rubik's cube algorithm notation into move objects.
- * Supports: R, L, U, D, F, B faces with ', 2 modifiers.
- * Also supports lowercase (wide) moves: r, l, u, d, f, b
+ * Supports: R, L, U, D, F, B faces with ', 2, 3, 2' modifiers.
+ * Also supports wide moves (r, l, u, d, f, b or Rw, Lw, ...),
+ * slice moves M, E, S and whole-cube rotations x, y, z.
+ *
+ * Grouping syntax:
+ *   (R U R' U')3   repeated group (up to 99 times), (...)' inverts it
+ *   [R U R', D]    commutator  = A B A' B'
+ *   [F: R U R']    conjugate   = A B A'
+ *   // comment     line comments and C-style block comments
  */
 
+import { MoveSimplifier } from './MoveSimplifier.js';
+
 const FACES = ['R', 'L', 'U', 'D', 'F', 'B'];
+const SLICES = ['M', 'E', 'S'];
+const ROTATIONS = ['x', 'y', 'z'];
+const PRIMES = ["'", '\u2019', '\u2032'];
+
+// Limits on repeats, so typed or linked text can't expand without bound
+const MAX_REPEAT = 99;
+const MAX_EXPANDED_MOVES = 10000;
+const PUNCTUATION = {
+  '(': 'lparen',
+  ')': 'rparen',
+  '[': 'lbracket',
+  ']': 'rbracket',
+  ',': 'comma',
+  ':': 'colon',
+};
 
 const AXIS_MAP = {
   R: { axis: 'x', layer: 1, dir: -1 },
@@ -13,19 +37,96 @@ const AXIS_MAP = {
   D: { axis: 'y', layer: -1, dir: 1 },
   F: { axis: 'z', layer: 1, dir: -1 },
   B: { axis: 'z', layer: -1, dir: 1 },
+  // Slices turn the middle layer the same way as L, D and F respectively
+  M: { axis: 'x', layer: 0, dir: 1 },
+  E: { axis: 'y', layer: 0, dir: 1 },
+  S: { axis: 'z', layer: 0, dir: -1 },
+  // Rotations turn the whole cube the same way as R, U and F respectively
+  x: { axis: 'x', layer: 0, dir: -1 },
+  y: { axis: 'y', layer: 0, dir: -1 },
+  z: { axis: 'z', layer: 0, dir: -1 },
 };
 
+const AXES = ['x', 'y', 'z'];
+
+/**
+ * Rotate the unit vector of `axis` by quarter turns about `about`
+ * (right-hand rule, same convention as the animator).
+ * Returns the axis it lands on and the sign along it.
+ */
+function rotateAxis(axis, about, quarters) {
+  let v = { x: 0, y: 0, z: 0 };
+  v[axis] = 1;
+  const turns = ((quarters % 4) + 4) % 4;
+  for (let i = 0; i < turns; i++) {
+    if (about === 'x') v = { x: v.x, y: -v.z, z: v.y };
+    else if (about === 'y') v = { x: v.z, y: v.y, z: -v.x };
+    else v = { x: -v.y, y: v.x, z: v.z };
+  }
+  const landed = AXES.find(a => v[a] !== 0);
+  return { axis: landed, sign: v[landed] };
+}
+
+/**
+ * Find the move that turns `layers` along `axis` in `direction`.
+ * Half turns keep the prime they were written with (R2 stays un-primed).
+ */
+function moveFor(axis, layers, direction, source) {
+  let face;
+  if (layers.length === 3) {
+    face = ROTATIONS.find(f => AXIS_MAP[f].axis === axis);
+  } else {
+    const outer = layers.find(l => l !== 0);
+    face = outer === undefined
+      ? SLICES.find(f => AXIS_MAP[f].axis === axis)
+      : FACES.find(f => AXIS_MAP[f].axis === axis && AXIS_MAP[f].layer === outer);
+  }
+  const prime = source.double ? source.prime : direction !== AXIS_MAP[face].dir;
+  return new Move(face, prime, source.double, layers.length === 2);
+}
+
+function normalizeFace(face) {
+  const lower = face.toLowerCase();
+  return ROTATIONS.includes(lower) ? lower : face.toUpperCase();
+}
+
 export class Move {
   constructor(face, prime = false, double = false, wide = false) {
-    this.face = face.toUpperCase();
+    this.face = normalizeFace(face);
     this.prime = prime;
     this.double = double;
-    this.wide = wide;
+    this.wide = wide && FACES.includes(this.face);
     const info = AXIS_MAP[this.face];
     this.axis = info.axis;
     this.layer = info.layer;
     this.direction = prime ? -info.dir : info.dir;
     this.angle = double ? Math.PI : Math.PI / 2;
+    this.source = null; // AST leaf this move was written as, if parsed
+
+    // Layers along the axis that this move turns
+    if (this.isRotation) {
+      this.layers = [-1, 0, 1];
+    } else if (this.wide) {
+      this.layers = [this.layer, 0];
+    } else {
+      this.layers = [this.layer];
+    }
+  }
+
+  /**
+   * The quarter turn of one layer along `axis`, in `direction` as the
+   * animator turns it: quarterTurn('x', 1, -1) is R, ('y', 0, 1) is E.
+   */
+  static quarterTurn(axis, layer, direction) {
+    return moveFor(axis, [layer], direction, { double: false });
+  }
+
+  get isSlice() {
+    return SLICES.includes(this.face);
+  }
+
+  get isRotation() {
+    return ROTATIONS.includes(this.face);
   }
 
   toString() {
@@ -39,50 +140,520 @@ export class Move {
     }
     return new Move(this.face, !this.prime, false, this.wide);
   }
+
+  /**
+   * Mirror across the M (left/right), E (up/down) or S (front/back) plane.
+   * R -> L', U -> U' for the M plane; slices and rotations on the mirror
+   * axis keep their direction.
+   */
+  mirror(plane = 'M') {
+    if (this.axis === AXIS_MAP[plane].axis) {
+      return moveFor(this.axis, this.layers.map(l => -l), this.direction, this);
+    }
+    return moveFor(this.axis, this.layers, -this.direction, this);
+  }
+
+  /**
+   * Rewrite this move so that it equals `rotation this rotation'`,
+   * e.g. R under y becomes B. `rotation` is an x/y/z Move.
+   */
+  rotate(rotation) {
+    const quarters = rotation.direction * (rotation.double ? 2 : 1);
+    const { axis, sign } = rotateAxis(this.axis, rotation.axis, -quarters);
+    return moveFor(axis, this.layers.map(l => l * sign), this.direction * sign, this);
+  }
+}
+
+function isMoveChar(ch) {
+  return FACES.includes(ch.toUpperCase()) || SLICES.includes(ch) ||
+    ROTATIONS.includes(ch);
+}
+
+function isSuffixChar(ch) {
+  return (ch >= '0' && ch <= '9') || PRIMES.includes(ch);
+}
+
+/**
+ * Split notation into tokens, keeping the source offsets of each.
+ * Token types: move, suffix, comment, unknown and the PUNCTUATION types.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const start = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (text.startsWith('//', i)) {
+      const nl = text.indexOf('\n', i);
+      i = nl === -1 ? text.length : nl;
+      tokens.push({ type: 'comment', text: text.slice(start, i), start, end: i });
+      continue;
+    }
+
+    if (text.startsWith('/*', i)) {
+      const close = text.indexOf('*/', i + 2);
+      i = close === -1 ? text.length : close + 2;
+      tokens.push({ type: 'comment', text: text.slice(start, i), start, end: i });
+      continue;
+    }
+
+    if (PUNCTUATION[ch]) {
+      i++;
+      tokens.push({ type: PUNCTUATION[ch], text: ch, start, end: i });
+      continue;
+    }
+
+    if (isMoveChar(ch)) {
+      i++;
+      // Rw style wide move
+      if (FACES.includes(ch) && text[i] === 'w') i++;
+      while (i < text.length && isSuffixChar(text[i])) i++;
+      tokens.push({ type: 'move', text: text.slice(start, i), start, end: i });
+      continue;
+    }
+
+    if (isSuffixChar(ch)) {
+      while (i < text.length && isSuffixChar(text[i])) i++;
+      tokens.push({ type: 'suffix', text: text.slice(start, i), start, end: i });
+      continue;
+    }
+
+    // Anything else is unknown; a letter keeps its modifiers so "X'" is
+    // reported as one token. The parser decides what to do with it.
+    i++;
+    if (/[a-z]/i.test(ch)) {
+      while (i < text.length && isSuffixChar(text[i])) i++;
+    }
+    tokens.push({ type: 'unknown', text: text.slice(start, i), start, end: i });
+  }
+
+  return tokens;
+}
+
+/**
+ * Read a repeat count and prime from suffix text like "2", "'", "2'" or "3".
+ */
+function parseSuffix(text) {
+  const digits = text.replace(/\D/g, '');
+  return {
+    amount: digits ? parseInt(digits, 10) : 1,
+    prime: PRIMES.some(p => text.includes(p)),
+  };
+}
+
+// Likely intended spellings for common typos
+const TYPO_SUGGESTIONS = {
+  X: 'x', Y: 'y', Z: 'z',
+  m: 'M', e: 'E', s: 'S',
+  '`': "'", '\u00b4': "'",
+  '{': '(', '}': ')',
+};
+
+/**
+ * Describe an unknown token and suggest a replacement, if one is obvious.
+ */
+function describeUnknown(text) {
+  const fix = TYPO_SUGGESTIONS[text[0]];
+  if (/[a-z]/i.test(text[0])) {
+    return {
+      reason: `Unknown move "${text}"`,
+      suggestion: fix ? `Did you mean "${fix}${text.slice(1)}"?` : null,
+    };
+  }
+  return {
+    reason: `Unexpected character "${text}"`,
+    suggestion: fix ? `Did you mean "${fix}"?` : null,
+  };
+}
+
+/**
+ * Number of moves an AST node expands to, without expanding it.
+ */
+function expandedLength(node) {
+  switch (node.type) {
+    case 'sequence':
+      return node.items.reduce((sum, item) => sum + expandedLength(item), 0);
+    case 'move':
+      return 1;
+    case 'group':
+      return expandedLength(node.body) * node.amount;
+    case 'commutator':
+      return 2 * (expandedLength(node.a) + expandedLength(node.b)) * node.amount;
+    case 'conjugate':
+      return (2 * expandedLength(node.a) + expandedLength(node.b)) * node.amount;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Convert a string offset into 1-based line and column numbers.
+ */
+function position(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  const column = offset - before.lastIndexOf('\n');
+  return { line, column };
+}
+
+/**
+ * Thrown by MoveParser.parse in strict mode.
+ * `errors` holds the diagnostics from MoveParser.check.
+ */
+export class NotationError extends Error {
+  constructor(algorithm, errors) {
+    const summary = errors
+      .map(e => `${e.reason} (line ${e.line}, column ${e.column})`)
+      .join('; ');
+    super(`Invalid notation "${algorithm}": ${summary}`);
+    this.name = 'NotationError';
+    this.algorithm = algorithm;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Recursive-descent parser over the token list.
+ *
+ *   sequence := (move | group | bracket | comment)*
+ *   group    := '(' sequence ')' suffix?
+ *   bracket  := '[' sequence (',' | ':') sequence ']' suffix?
+ *
+ * Tokens that fit nowhere are skipped and recorded in `errors`.
+ */
+class NotationParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+    this.errors = [];
+    this.stack = []; // stop token types of the constructs being parsed
+  }
+
+  _error(token, reason, suggestion = null) {
+    this.errors.push({
+      token: token.text,
+      offset: token.start,
+      ...position(this.text, token.start),
+      reason,
+      suggestion,
+    });
+  }
+
+  _skip(token, prev) {
+    if (token.type === 'unknown') {
+      const { reason, suggestion } = describeUnknown(token.text);
+      this._error(token, reason, suggestion);
+    } else if (token.type === 'suffix') {
+      this._error(token, `Modifier "${token.text}" is not attached to a move`,
+        prev && prev.type === 'move'
+          ? `Remove the space: "${prev.text}${token.text}"`
+          : null);
+    } else if (token.type === 'comma' || token.type === 'colon') {
+      this._error(token, `"${token.text}" is only valid inside [A, B] or [A: B]`);
+    } else {
+      const open = token.type === 'rparen' ? '(' : '[';
+      this._error(token, `Unmatched "${token.text}"`,
+        `Remove it or add a matching "${open}"`);
+    }
+  }
+
+  parse() {
+    // The top level has no closer, so this consumes every token
+    const root = this._sequence([]);
+    root.start = 0;
+    root.end = this.text.length;
+    this._limitExpansion(root);
+    return root;
+  }
+
+  /**
+   * Drop repeats, outermost first, until the whole text expands to at
+   * most MAX_EXPANDED_MOVES moves. Each dropped repeat is an error at
+   * its suffix.
+   */
+  _limitExpansion(root) {
+    let total = expandedLength(root);
+    if (total <= MAX_EXPANDED_MOVES) return;
+    const repeated = [];
+    const collect = (node) => {
+      if (node.type !== 'move' && node.amount > 1) repeated.push(node);
+      [node.body, node.a, node.b, ...(node.items || [])].filter(Boolean).forEach(collect);
+    };
+    collect(root);
+    // Enclosing repeats come first, so by the time a node is reached
+    // they are all dropped and its own length counts once in the total
+    for (const node of repeated) {
+      this._error({ text: node.suffix, start: node.end - node.suffix.length },
+        `Repeating this ${node.amount} times makes more than ${MAX_EXPANDED_MOVES} moves`);
+      const length = expandedLength(node);
+      total -= length - length / node.amount;
+      node.amount = 1;
+      if (total <= MAX_EXPANDED_MOVES) return;
+    }
+  }
+
+  _peek() {
+    return this.tokens[this.pos];
+  }
+
+  _sequence(stopTypes) {
+    this.stack.push(stopTypes);
+    const items = [];
+    const first = this._peek();
+    const start = first ? first.start : this.text.length;
+
+    while (this.pos < this.tokens.length) {
+      const token = this._peek();
+      if (stopTypes.includes(token.type)) break;
+
+      if (token.type === 'move') {
+        this.pos++;
+        items.push(this._moveNode(token));
+      } else if (token.type === 'comment') {
+        this.pos++;
+        items.push({ type: 'comment', text: token.text, start: token.start, end: token.end });
+      } else if (token.type === 'lparen') {
+        items.push(this._group());
+      } else if (token.type === 'lbracket') {
+        items.push(this._bracket());
+      } else if (this.stack.some(types => types.includes(token.type))) {
+        // Closer belonging to an enclosing construct
+        break;
+      } else {
+        this._skip(token, this.tokens[this.pos - 1]);
+        this.pos++;
+      }
+    }
+
+    this.stack.pop();
+    const last = items[items.length - 1];
+    return { type: 'sequence', items, start, end: last ? last.end : start };
+  }
+
+  _moveNode(token) {
+    const raw = token.text[0];
+    const wide = token.text[1] === 'w' ||
+      (FACES.includes(raw.toUpperCase()) && raw >= 'a' && raw <= 'z');
+    const suffix = token.text.slice(token.text[1] === 'w' ? 2 : 1);
+    const { amount, prime } = parseSuffix(suffix);
+    if (amount < 1 || amount > 3) {
+      this._error(token, `Turn count ${amount} on "${token.text}" is not a turn`,
+        'Use 2 for a half turn or \' for a counterclockwise quarter turn');
+    }
+    return {
+      type: 'move',
+      text: token.text,
+      face: normalizeFace(raw),
+      wide,
+      amount,
+      prime,
+      start: token.start,
+      end: token.end,
+    };
+  }
+
+  _readSuffix(node) {
+    const token = this._peek();
+    if (token && token.type === 'suffix' && token.start === node.end) {
+      this.pos++;
+      const { amount, prime } = parseSuffix(token.text);
+      node.prime = prime;
+      if (amount > MAX_REPEAT) {
+        this._error(token, `Repeat count ${amount} is too large`, `Use at most ${MAX_REPEAT}`);
+      } else {
+        node.amount = amount;
+      }
+      node.suffix = token.text;
+      node.end = token.end;
+    }
+    return node;
+  }
+
+  _group() {
+    const open = this.tokens[this.pos++];
+    const body = this._sequence(['rparen']);
+    const node = {
+      type: 'group', delimiters: '()', body,
+      amount: 1, prime: false, suffix: '',
+      start: open.start, end: body.end,
+    };
+
+    const close = this._peek();
+    if (close && close.type === 'rparen') {
+      this.pos++;
+      node.end = close.end;
+      this._readSuffix(node);
+    } else {
+      this._error(open, 'Unclosed "("', 'Add a closing ")"');
+    }
+    return node;
+  }
+
+  _bracket() {
+    const open = this.tokens[this.pos++];
+    const a = this._sequence(['comma', 'colon', 'rbracket']);
+    // Without a separator, [A] is just a bracketed group
+    const node = {
+      type: 'group', delimiters: '[]', body: a,
+      amount: 1, prime: false, suffix: '',
+      start: open.start, end: a.end,
+    };
+
+    const sep = this._peek();
+    if (sep && (sep.type === 'comma' || sep.type === 'colon')) {
+      this.pos++;
+      const b = this._sequence(['rbracket']);
+      node.type = sep.type === 'comma' ? 'commutator' : 'conjugate';
+      delete node.body;
+      node.a = a;
+      node.b = b;
+      node.end = b.end;
+    }
+
+    const close = this._peek();
+    if (close && close.type === 'rbracket') {
+      this.pos++;
+      node.end = close.end;
+      this._readSuffix(node);
+    } else {
+      this._error(open, 'Unclosed "["', 'Add a closing "]"');
+    }
+    return node;
+  }
+}
+
+function invertMoves(moves) {
+  return moves.map((m) => {
+    const inv = m.inverse();
+    inv.source = m.source;
+    return inv;
+  }).reverse();
+}
+
+function repeatMoves(moves, amount, prime) {
+  const result = Array.from({ length: amount }, () => moves).flat();
+  return prime ? invertMoves(result) : result;
 }
 
 export class MoveParser {
-  static parse(algorithm) {
+  /**
+   * Parse notation into a flat move list.
+   * By default unknown tokens are skipped; with { strict: true } any
+   * problem reported by check() throws a NotationError instead.
+   */
+  static parse(algorithm, { strict = false } = {}) {
     if (!algorithm || !algorithm.trim()) return [];
+    const parser = new NotationParser(algorithm);
+    const tree = parser.parse();
+    if (strict && parser.errors.length > 0) {
+      throw new NotationError(algorithm, parser.errors);
+    }
+    return this.flatten(tree);
+  }
+
+  /**
+   * List problems in the notation without throwing.
+   * Each entry: { token, offset, line, column, reason, suggestion }.
+   */
+  static check(algorithm) {
+    if (!algorithm) return [];
+    const parser = new NotationParser(algorithm);
+    parser.parse();
+    return parser.errors;
+  }
 
-    const moves = [];
-    const tokens = algorithm.trim().split(/\s+/);
-
-    for (const token of tokens) {
-      let i = 0;
-      while (i < token.length) {
-        const raw = token[i];
-        const ch = raw.toUpperCase();
-        if (!FACES.includes(ch)) {
-          i++;
-          continue;
-        }
-
-        const wide = raw >= 'a' && raw <= 'z';
-        let prime = false;
-        let double = false;
-
-        if (i + 1 < token.length) {
-          if (token[i + 1] === "'") {
-            prime = true;
-            i++;
-          } else if (token[i + 1] === '2') {
-            double = true;
-            i++;
-          }
-        }
-
-        moves.push(new Move(ch, prime, double, wide));
-        i++;
+  /**
+   * Parse notation into an AST that keeps groups, commutators, conjugates
+   * and comments as written. Every node carries its [start, end) offsets.
+   */
+  static parseTree(algorithm) {
+    return new NotationParser(algorithm || '').parse();
+  }
+
+  /**
+   * Expand an AST node into the flat list of moves it stands for.
+   * Each move's `source` points back at the move node it came from.
+   */
+  static flatten(node) {
+    switch (node.type) {
+      case 'sequence':
+        return node.items.flatMap(item => this.flatten(item));
+
+      case 'move': {
+        const turns = node.amount % 4;
+        if (turns === 0) return [];
+        const move = turns === 2
+          ? new Move(node.face, node.prime, true, node.wide)
+          : new Move(node.face, (turns === 3) !== node.prime, false, node.wide);
+        move.source = node;
+        return [move];
+      }
+
+      case 'group':
+        return repeatMoves(this.flatten(node.body), node.amount, node.prime);
+
+      case 'commutator': {
+        const a = this.flatten(node.a);
+        const b = this.flatten(node.b);
+        return repeatMoves([...a, ...b, ...invertMoves(a), ...invertMoves(b)],
+          node.amount, node.prime);
+      }
+
+      case 'conjugate': {
+        const a = this.flatten(node.a);
+        const b = this.flatten(node.b);
+        return repeatMoves([...a, ...b, ...invertMoves(a)], node.amount, node.prime);
       }
-    }
 
-    return moves;
+      default:
+        return [];
+    }
   }
 
+  /**
+   * Invert an algorithm (string or move list), returned simplified.
+   */
   static inverse(algorithm) {
     const moves = typeof algorithm === 'string' ? this.parse(algorithm) : algorithm;
-    return moves.map(m => m.inverse()).reverse();
+    return MoveSimplifier.simplify(moves.map(m => m.inverse()).reverse());
+  }
+
+  /**
+   * Join algorithms (strings or move lists) into one simplified move list,
+   * so moves cancel across the seams.
+   */
+  static concat(...algorithms) {
+    const moves = algorithms.flatMap(alg =>
+      typeof alg === 'string' ? this.parse(alg) : alg);
+    return MoveSimplifier.simplify(moves);
+  }
+
+  /**
+   * Mirror an algorithm (string or move list) across the M, E or S plane.
+   * Mirroring across M gives the left-hand version of a right-hand algorithm.
+   */
+  static mirror(algorithm, plane = 'M') {
+    const moves = typeof algorithm === 'string' ? this.parse(algorithm) : algorithm;
+    return moves.map(m => m.mirror(plane));
+  }
+
+  /**
+   * Rewrite an algorithm under whole-cube rotations, without rotations:
+   * rotate(alg, 'y') does what `y alg y'` does, e.g. the same F2L case
+   * from the back-right slot instead of the front-right one.
+   */
+  static rotate(algorithm, rotation) {
+    const moves = typeof algorithm === 'string' ? this.parse(algorithm) : algorithm;
+    const rotations = typeof rotation === 'string' ? this.parse(rotation) : [rotation];
+    return moves.map(m => rotations.reduceRight((acc, r) => acc.rotate(r), m));
   }
 
   static toString(moves) {
@@ -0,0 +1,77 @@
+/**
+ * Move cancellation and move counting.
+ * Merges adjacent turns of the same layer (R R -> R2, R R' -> nothing),
+ * including across turns on the same axis, which commute (U D U -> U2 D).
+ * Counts moves in HTM, QTM, STM and ETM.
+ */
+
+import { Move } from './MoveParser.js';
+
+function quarterTurns(move) {
+  if (move.double) return 2;
+  return move.prime ? 3 : 1;
+}
+
+// Moves that turn exactly the same layers
+function sameLayers(a, b) {
+  return a.face === b.face && a.wide === b.wide;
+}
+
+function fromQuarterTurns(face, turns, wide) {
+  return new Move(face, turns === 3, turns === 2, wide);
+}
+
+export class MoveSimplifier {
+  /**
+   * Return a new move list with cancellations and merges applied.
+   * Moves that are not merged are kept as the same objects.
+   */
+  static simplify(moves) {
+    const result = [];
+
+    for (const move of moves) {
+      // Look back past commuting moves on the same axis for one to merge with
+      let i = result.length - 1;
+      while (i >= 0 && result[i].axis === move.axis && !sameLayers(result[i], move)) {
+        i--;
+      }
+
+      if (i >= 0 && sameLayers(result[i], move)) {
+        const turns = (quarterTurns(result[i]) + quarterTurns(move)) % 4;
+        if (turns === 0) {
+          result.splice(i, 1);
+        } else {
+          result[i] = fromQuarterTurns(move.face, turns, move.wide);
+        }
+      } else {
+        result.push(move);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Count moves in the common metrics:
+   *   htm - half turn metric: any face turn is 1, a slice is 2 (two faces)
+   *   qtm - quarter turn metric: half turns count 2
+   *   stm - slice turn metric: any layer turn is 1, slices included
+   *   etm - execution turn metric: every move is 1, rotations included
+   * Rotations count 0 in every metric except ETM.
+   */
+  static metrics(moves) {
+    const counts = { htm: 0, qtm: 0, stm: 0, etm: 0 };
+
+    for (const move of moves) {
+      counts.etm += 1;
+      if (move.isRotation) continue;
+
+      const faces = move.isSlice ? 2 : 1;
+      counts.htm += faces;
+      counts.qtm += faces * (move.double ? 2 : 1);
+      counts.stm += 1;
+    }
+
+    return counts;
+  }
+}
@@ -2,24 +2,7 @@
  * Resolves highlight descriptors to [face, index] sticker positions.
  */
 
-const SLOT_DEFINITIONS = {
-  FR: {
-    corner: [['D', 2], ['F', 8], ['R', 6]],
-    edge:   [['F', 5], ['R', 3]],
-  },
-  FL: {
-    corner: [['D', 0], ['L', 6], ['F', 6]],
-    edge:   [['F', 3], ['L', 5]],
-  },
-  BR: {
-    corner: [['D', 8], ['R', 8], ['B', 8]],
-    edge:   [['B', 3], ['R', 5]],
-  },
-  BL: {
-    corner: [['D', 6], ['B', 6], ['L', 8]],
-    edge:   [['B', 5], ['L', 3]],
-  },
-};
+import { CubeModel } from './CubeModel.js';
 
 export class PieceHighlighter {
   static resolve(highlight, model) {
@@ -53,7 +36,7 @@ export class PieceHighlighter {
       }
 
       case 'slot': {
-        const def = SLOT_DEFINITIONS[highlight.slot];
+        const def = CubeModel.SLOTS[highlight.slot];
         if (!def) return [];
         return [...def.corner, ...def.edge];
       }
@@ -0,0 +1,114 @@
+/**
+ * Scramble generator.
+ * - Random-move scrambles in WCA notation (outer faces, no face turned
+ *   twice in a row, no R L R-style runs on one axis).
+ * - Random-state cubes: every legal state equally likely, as a CubeModel
+ *   (turning one into a scramble would need a full solver).
+ * Everything takes an optional seed so a scramble can be reproduced.
+ */
+
+import { CubeModel } from './CubeModel.js';
+
+const FACES = ['U', 'D', 'R', 'L', 'F', 'B'];
+const AXIS_OF = { U: 'y', D: 'y', R: 'x', L: 'x', F: 'z', B: 'z' };
+const SUFFIXES = ['', "'", '2'];
+
+const SEED_CHARS = 'abcdefghijkmnpqrstuvwxyz23456789';
+
+export class Scrambler {
+  /**
+   * Seeded pseudo-random generator (mulberry32). Seeds may be numbers or
+   * strings; the same seed always gives the same sequence.
+   * @returns {() => number} Function returning floats in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : CubeModel.hashString(String(seed));
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * A short random seed string, for showing and sharing.
+   */
+  static newSeed(length = 6) {
+    return Array.from({ length },
+      () => SEED_CHARS[Math.floor(Math.random() * SEED_CHARS.length)]).join('');
+  }
+
+  /**
+   * WCA-style random-move scramble.
+   * @param {object} [options]
+   * @param {number} [options.length=20]
+   * @param {number|string} [options.seed] - Omit for an unseeded scramble
+   * @returns {string} e.g. "R2 U' F D2 L ..."
+   */
+  static randomMoves({ length = 20, seed } = {}) {
+    const random = this._random(seed);
+    const moves = [];
+    while (moves.length < length) {
+      const face = FACES[Math.floor(random() * FACES.length)];
+      const last = moves[moves.length - 1];
+      const beforeLast = moves[moves.length - 2];
+      // Same face twice merges into one turn; a third turn on one axis
+      // (R L R) merges with the first.
+      if (last && last[0] === face) continue;
+      if (last && beforeLast &&
+          AXIS_OF[last[0]] === AXIS_OF[face] && AXIS_OF[beforeLast[0]] === AXIS_OF[face]) {
+        continue;
+      }
+      moves.push(face + SUFFIXES[Math.floor(random() * SUFFIXES.length)]);
+    }
+    return moves.join(' ');
+  }
+
+  /**
+   * A uniformly random legal cube state.
+   * @param {object} [options]
+   * @param {number|string} [options.seed]
+   * @returns {CubeModel}
+   */
+  static randomState({ seed } = {}) {
+    const random = this._random(seed);
+    const cp = shuffle([...Array(8).keys()], random);
+    const ep = shuffle([...Array(12).keys()], random);
+    const co = Array.from({ length: 8 }, () => Math.floor(random() * 3));
+    const eo = Array.from({ length: 12 }, () => Math.floor(random() * 2));
+    // The last corner's twist and last edge's flip are fixed by the others
+    co[7] = (3 - co.slice(0, 7).reduce((a, b) => a + b, 0) % 3) % 3;
+    eo[11] = eo.slice(0, 11).reduce((a, b) => a + b, 0) % 2;
+
+    const pieces = { cp, co, ep, eo };
+    // What's left is permutation parity: swapping two edges fixes it
+    if (!CubeModel.isSolvable(pieces)) [ep[0], ep[1]] = [ep[1], ep[0]];
+    return CubeModel.fromPieces(pieces);
+  }
+
+  /**
+   * Load a scramble into a CubeController: the cube is shown scrambled,
+   * and stepping backward walks through the scramble move by move.
+   */
+  static show(controller, scramble) {
+    controller.loadAlgorithm(scramble, '');
+    controller.goToStep(controller.moves.length);
+  }
+
+  static _random(seed) {
+    return seed === undefined || seed === null || seed === ''
+      ? Math.random
+      : this.createRandom(seed);
+  }
+}
+
+// Fisher-Yates, in place
+function shuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
@@ -0,0 +1,112 @@
+/**
+ * Converts cube states to and from text:
+ * - the standard 54-character facelet string used by other cube tools
+ *   (Kociemba order): faces U, R, F, D, L, B, each read row by row as
+ *   seen from outside, U with B at the top, D with F at the top and the
+ *   side faces with U at the top. Each character names the face whose
+ *   center has that sticker's color, so a solved cube reads
+ *   "UUUUUUUUURRRRRRRRRFFFFFFFFFDDDDDDDDDLLLLLLLLLBBBBBBBBB".
+ * - a 27-character URL-safe code that keeps the actual colors, for share
+ *   links: two stickers per character, 6 x 6 = 36 symbols (0-9, a-z).
+ * Neither checks that the state is legal; see StateValidator.
+ */
+
+import { CubeModel } from './CubeModel.js';
+
+// Standard facelet order
+const FACELET_FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+
+// The model indexes U from its front edge and D from its back edge
+// (see CubeModel.EDGE_CUBIES); the facelet string starts U at the back
+// and D at the front. Other faces read the same way in both.
+const FLIPPED_FACES = ['U', 'D'];
+
+// Colors of the standard faces, in facelet order
+const SOLVED = new CubeModel();
+const COLOR_ORDER = FACELET_FACES.map(face => SOLVED.faces[face][4]);
+
+const URL_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+const URL_CODE_LENGTH = 27;
+
+/**
+ * Model sticker index for position `i` (0-8, row by row) of a face in the
+ * facelet string.
+ */
+function modelIndex(face, i) {
+  if (!FLIPPED_FACES.includes(face)) return i;
+  const row = Math.floor(i / 3);
+  return (2 - row) * 3 + (i % 3);
+}
+
+/**
+ * The model's stickers in facelet order, as [face, index] pairs.
+ */
+const FACELET_STICKERS = FACELET_FACES.flatMap(face =>
+  Array.from({ length: 9 }, (_, i) => [face, modelIndex(face, i)]));
+
+export class StateCodec {
+  /**
+   * The 54-character URFDLB facelet string of a state. Colors are named
+   * by the face whose center has them; a color no center has is "?".
+   */
+  static toFacelets(model) {
+    const faceOf = {};
+    for (const face of FACELET_FACES) faceOf[model.faces[face][4]] = face;
+    return FACELET_STICKERS.map(([face, index]) => faceOf[model.faces[face][index]] || '?').join('');
+  }
+
+  /**
+   * Cube from a facelet string, in the standard color scheme. Spaces and
+   * line breaks are ignored, and letters may be lowercase.
+   * @throws {Error} if it is not 54 of the letters U, R, F, D, L, B
+   */
+  static fromFacelets(text) {
+    const facelets = text.replace(/\s+/g, '').toUpperCase();
+    if (facelets.length !== FACELET_STICKERS.length) {
+      throw new Error(`A facelet string has 54 letters, not ${facelets.length}`);
+    }
+    const bad = facelets.search(/[^URFDLB]/);
+    if (bad !== -1) {
+      throw new Error(`"${facelets[bad]}" at position ${bad + 1} is not one of U, R, F, D, L, B`);
+    }
+
+    const model = new CubeModel();
+    FACELET_STICKERS.forEach(([face, index], i) => {
+      model.faces[face][index] = SOLVED.faces[facelets[i]][4];
+    });
+    return model;
+  }
+
+  /**
+   * Compact URL-safe code of a state (27 characters, [0-9a-z]).
+   */
+  static toURLCode(model) {
+    const values = FACELET_STICKERS.map(([face, index]) => COLOR_ORDER.indexOf(model.faces[face][index]));
+    let code = '';
+    for (let i = 0; i < values.length; i += 2) {
+      code += URL_ALPHABET[values[i] * 6 + values[i + 1]];
+    }
+    return code;
+  }
+
+  /**
+   * Cube from a code made by toURLCode.
+   * @throws {Error} if the code is malformed
+   */
+  static fromURLCode(code) {
+    if (code.length !== URL_CODE_LENGTH) {
+      throw new Error(`A cube state code has ${URL_CODE_LENGTH} characters, not ${code.length}`);
+    }
+    const model = new CubeModel();
+    [...code].forEach((char, i) => {
+      const value = URL_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error(`"${char}" at position ${i + 1} is not part of a cube state code`);
+      }
+      const [first, second] = FACELET_STICKERS.slice(i * 2, i * 2 + 2);
+      model.faces[first[0]][first[1]] = COLOR_ORDER[Math.floor(value / 6)];
+      model.faces[second[0]][second[1]] = COLOR_ORDER[value % 6];
+    });
+    return model;
+  }
+}
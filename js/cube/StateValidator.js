@@ -0,0 +1,134 @@
+/**
+ * Legality checks for a hand-entered cube state (e.g. painted sticker by
+ * sticker): color counts, centers, that every corner and edge is a real
+ * piece and appears once, corner twist, edge flip and permutation
+ * parity. Problems name the pieces involved by their position (e.g.
+ * "URF" for the up-right-front corner) and list their stickers for
+ * highlighting.
+ * Headless (CubeModel only).
+ */
+
+import { CubeModel } from './CubeModel.js';
+
+const FACE_NAMES = ['U', 'D', 'F', 'B', 'R', 'L'];
+const CENTERS = Object.fromEntries(FACE_NAMES.map(name => [name, [4]]));
+
+/**
+ * Position name of a piece slot, from the faces its stickers are on
+ * ("URF", "FL", ...).
+ */
+function slotName(cubie) {
+  return cubie.faces.map(([f]) => f).join('');
+}
+
+function list(names) {
+  return names.length <= 1 ? names.join('') :
+    `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+export class StateValidator {
+  /**
+   * Check a cube state. Returns a list of problems (empty if the state
+   * can be reached by turning a standard cube):
+   * { check, message, pieces: [slot names], stickers: [[face, index]] }.
+   * @param {CubeModel} model
+   * @param {object} [options]
+   * @param {[string, number]} [options.suspect] - a sticker to blame
+   *   first, e.g. the last one painted: a twist, flip or swap that its
+   *   piece could explain is reported on that piece alone
+   */
+  static validate(model, { suspect = null } = {}) {
+    const problems = [];
+    const report = (check, message, cubies = []) => problems.push({
+      check, message,
+      pieces: cubies.map(slotName),
+      stickers: cubies.flatMap(cubie => cubie.faces),
+    });
+
+    // Nine stickers of each color
+    const counts = {};
+    for (const name of FACE_NAMES) {
+      for (const color of model.faces[name]) counts[color] = (counts[color] || 0) + 1;
+    }
+    const solved = new CubeModel();
+    for (const name of FACE_NAMES) {
+      const color = solved.faces[name][4];
+      const count = counts[color] || 0;
+      if (count !== 9) report('colors', `${count} ${color} stickers (should be 9)`);
+    }
+
+    // Centers in a real color scheme, any orientation
+    if (!model.equalsModuloRotation(solved, CENTERS)) {
+      problems.push({
+        check: 'centers',
+        message: 'The centers are not arranged as on a real cube',
+        pieces: [],
+        stickers: FACE_NAMES.map(name => [name, 4]),
+      });
+      return problems;
+    }
+
+    // Every slot holds a real piece, and each piece appears once
+    const pieceChecks = [
+      ['corner', CubeModel.CORNER_CUBIES],
+      ['edge', CubeModel.EDGE_CUBIES],
+    ];
+    for (const [kind, cubies] of pieceChecks) {
+      const pieces = cubies.map(cubie => cubie.faces.map(([f]) => model.faces[f][4]));
+      const key = colors => [...colors].sort().join();
+      const found = new Map(); // piece index -> slots holding it
+      cubies.forEach((cubie, slot) => {
+        const colors = cubie.faces.map(([f, i]) => model.faces[f][i]);
+        const piece = pieces.findIndex(target => key(target) === key(colors));
+        if (piece === -1) {
+          report('piece', `The ${kind} at ${slotName(cubie)} (${colors.join(', ')}) is not a real ${kind}`, [cubie]);
+          return;
+        }
+        found.set(piece, [...(found.get(piece) || []), cubie]);
+      });
+      for (const [piece, slots] of found) {
+        if (slots.length > 1) {
+          report('duplicate', `${list(slots.map(slotName))} are ${slots.length === 2 ? 'both' : 'all'} ` +
+            `the ${pieces[piece].join('-')} ${kind}`, slots);
+        }
+      }
+    }
+    if (problems.length > 0) return problems;
+
+    // Twist, flip and parity: one piece turned or two swapped somewhere.
+    // Blame the suspect's piece if it is a candidate.
+    const { cp, co, ep, eo } = model.getPieces();
+    const sum = values => values.reduce((a, b) => a + b, 0);
+    const blame = cubies => cubies.filter(cubie =>
+      suspect && cubie.faces.some(([f, i]) => f === suspect[0] && i === suspect[1]));
+
+    const twisted = CubeModel.CORNER_CUBIES.filter((_, slot) => co[slot] !== 0);
+    if (sum(co) % 3 !== 0) {
+      const [culprit] = blame(twisted);
+      report('twist', culprit
+        ? `The corner at ${slotName(culprit)} is twisted`
+        : `A corner is twisted: one of ${list(twisted.map(slotName))} needs turning back`,
+      culprit ? [culprit] : twisted);
+    }
+    const flipped = CubeModel.EDGE_CUBIES.filter((_, slot) => eo[slot] !== 0);
+    if (sum(eo) % 2 !== 0) {
+      const [culprit] = blame(flipped);
+      report('flip', culprit
+        ? `The edge at ${slotName(culprit)} is flipped`
+        : `An edge is flipped: one of ${list(flipped.map(slotName))} needs flipping back`,
+      culprit ? [culprit] : flipped);
+    }
+    if (CubeModel.permutationParity(cp) !== CubeModel.permutationParity(ep)) {
+      const misplaced = [
+        ...CubeModel.CORNER_CUBIES.filter((_, slot) => cp[slot] !== slot),
+        ...CubeModel.EDGE_CUBIES.filter((_, slot) => ep[slot] !== slot),
+      ];
+      const [culprit] = blame(misplaced);
+      report('parity', culprit
+        ? `The piece at ${slotName(culprit)} is swapped with another one (odd permutation parity)`
+        : `Two pieces are swapped (odd permutation parity): two of ${list(misplaced.map(slotName))}`,
+      culprit ? [culprit] : misplaced);
+    }
+    return problems;
+  }
+}
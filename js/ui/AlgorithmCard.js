@@ -3,27 +3,50 @@
  * Lazy-initializes Three.js renderer only when expanded.
  */
 
+import { CaseBuilder } from '../cube/CaseBuilder.js';
 import { CubeController } from '../cube/CubeController.js';
+import { CubeModel } from '../cube/CubeModel.js';
 import { MoveParser } from '../cube/MoveParser.js';
+import { MoveSimplifier } from '../cube/MoveSimplifier.js';
 import { PieceHighlighter } from '../cube/PieceHighlighter.js';
+import { CubeNet } from './CubeNet.js';
+import { AlgorithmPreferences } from './AlgorithmPreferences.js';
 import { PatternDiagram } from './PatternDiagram.js';
 import { PlayerControls } from './PlayerControls.js';
-import { ProgressTracker } from './ProgressTracker.js';
+import { GRADES, ProgressTracker } from './ProgressTracker.js';
+
+const DAY = 24 * 60 * 60 * 1000;
 
 export class AlgorithmCard {
   constructor(data, listEl, onToggle) {
     this.data = data;
     this.listEl = listEl;
     this.onToggle = onToggle; // callback when expanded
+    this.onViewChange = null; // callback (card) when expanded, collapsed or stepped
     this.controller = null;
     this.expanded = false;
     this.el = null;
+    // Main algorithm and alternatives; the user's preferred one is shown
+    this.algorithms = CaseBuilder.algorithms(data);
+    this.choice = AlgorithmPreferences.get(data.id, this.algorithms.length);
     this._build();
   }
 
+  get algorithm() {
+    return this.algorithms[this.choice];
+  }
+
+  /**
+   * Move of the demo the cube is at (0 before the first).
+   */
+  get step() {
+    return this.controller ? this.controller.currentStep : 0;
+  }
+
   _build() {
     this.el = document.createElement('div');
     this.el.className = 'alg-card';
+    this.el.id = this.data.id; // link target, e.g. pll.html#pll-corners-t-perm
 
     // Header
     const header = document.createElement('div');
@@ -34,11 +57,12 @@ export class AlgorithmCard {
       this.toggle();
     });
 
-    // Pattern thumbnail
+    // Pattern thumbnail: last-layer cases get the full diagram with side
+    // stickers (and arrows for PLL), read off the set-up cube
     const patternWrap = document.createElement('div');
     patternWrap.className = 'alg-card__pattern';
-    if (this.data.recognition && this.data.recognition.topPattern) {
-      patternWrap.appendChild(PatternDiagram.create(this.data.recognition.topPattern));
+    if (this._isLastLayerCase()) {
+      patternWrap.appendChild(PatternDiagram.fromState(CaseBuilder.stateAfterSetup(this.data)));
     }
 
     // Info
@@ -47,11 +71,30 @@ export class AlgorithmCard {
     const name = document.createElement('div');
     name.className = 'alg-card__name';
     name.textContent = this.data.name;
-    const algText = document.createElement('div');
-    algText.className = 'alg-card__alg-text';
-    algText.textContent = this.data.algorithm;
+    this.algTextEl = document.createElement('div');
+    this.algTextEl.className = 'alg-card__alg-text';
+    this.metricsEl = document.createElement('div');
+    this.metricsEl.className = 'alg-card__metrics';
+    this._renderHeaderAlgorithm();
     info.appendChild(name);
-    info.appendChild(algText);
+    info.appendChild(this.algTextEl);
+    info.appendChild(this.metricsEl);
+
+    // Warn when the notation has tokens the parser had to skip
+    this.notationErrors = this._checkNotation();
+    if (this.notationErrors.length > 0) {
+      const warning = document.createElement('div');
+      warning.className = 'alg-card__warning';
+      const count = this.notationErrors.length;
+      warning.textContent = `⚠ ${count} notation problem${count === 1 ? '' : 's'}`;
+      warning.title = this.notationErrors.map(e => this._formatNotationError(e)).join('\n');
+      info.appendChild(warning);
+    }
+
+    this.dueEl = document.createElement('div');
+    this.dueEl.className = 'alg-card__due';
+    this.dueEl.textContent = 'Due for review';
+    info.appendChild(this.dueEl);
 
     // Checkbox
     const check = document.createElement('div');
@@ -63,6 +106,7 @@ export class AlgorithmCard {
       e.stopPropagation();
       const done = check.classList.toggle('alg-card__check--done');
       ProgressTracker.setCompleted(this.data.id, done);
+      this._renderReview();
       // Dispatch event for progress bar updates
       window.dispatchEvent(new Event('progress-changed'));
     });
@@ -84,6 +128,21 @@ export class AlgorithmCard {
     this.el.appendChild(header);
     this.el.appendChild(this.body);
     this.listEl.appendChild(this.el);
+    this._renderReview();
+  }
+
+  /**
+   * Header text and move counts of the chosen algorithm.
+   */
+  _renderHeaderAlgorithm() {
+    const { algorithm } = this.algorithm;
+    const counts = MoveSimplifier.metrics(MoveParser.parse(algorithm));
+    this.algTextEl.textContent = algorithm;
+    this.metricsEl.textContent =
+      `${counts.htm} HTM · ${counts.qtm} QTM · ${counts.stm} STM · ${counts.etm} ETM`;
+    if (this.algorithms.length > 1) {
+      this.metricsEl.textContent += ` · ${this.choice + 1} of ${this.algorithms.length} algorithms`;
+    }
   }
 
   toggle() {
@@ -99,6 +158,7 @@ export class AlgorithmCard {
     this.expanded = true;
     this.el.classList.add('alg-card--expanded');
     this._initBody();
+    if (this.onViewChange) this.onViewChange(this);
   }
 
   collapse() {
@@ -107,6 +167,7 @@ export class AlgorithmCard {
     if (this.controller) {
       this.controller.pause();
     }
+    if (this.onViewChange) this.onViewChange(this);
   }
 
   _initBody() {
@@ -126,61 +187,285 @@ export class AlgorithmCard {
       this.body.appendChild(desc);
     }
 
-    // Cube viewer
+    // Notation problems, listed in full
+    if (this.notationErrors.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'alg-card__warning-list';
+      for (const error of this.notationErrors) {
+        const item = document.createElement('li');
+        item.textContent = this._formatNotationError(error);
+        list.appendChild(item);
+      }
+      this.body.appendChild(list);
+    }
+
+    // Algorithm choice: the picked one is remembered for this case
+    if (this.algorithms.length > 1) {
+      const choices = document.createElement('div');
+      choices.className = 'alg-choices';
+      this.choiceBtns = this.algorithms.map((alg, i) => {
+        const btn = document.createElement('button');
+        btn.className = 'alg-choices__btn';
+        btn.textContent = alg.algorithm;
+        btn.title = i === 0 ? 'Main algorithm' : `Alternative ${i}`;
+        btn.addEventListener('click', () => this.choose(i));
+        choices.appendChild(btn);
+        return btn;
+      });
+      this.body.appendChild(choices);
+    }
+
+    // Spaced-repetition review, once the algorithm is learned
+    this.reviewEl = document.createElement('div');
+    this.reviewEl.className = 'alg-review';
+    this.reviewStatusEl = document.createElement('span');
+    this.reviewStatusEl.className = 'alg-review__status';
+    this.reviewEl.appendChild(this.reviewStatusEl);
+    for (const { grade, label } of GRADES) {
+      const btn = document.createElement('button');
+      btn.className = 'alg-review__btn';
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        ProgressTracker.review(this.data.id, grade);
+        this._renderReview();
+        window.dispatchEvent(new Event('progress-changed'));
+      });
+      this.reviewEl.appendChild(btn);
+    }
+    this.body.appendChild(this.reviewEl);
+    this._renderReview();
+
+    // Fingertrick notes and source of the chosen algorithm
+    this.notesEl = document.createElement('p');
+    this.notesEl.className = 'alg-card__notes';
+    this.body.appendChild(this.notesEl);
+
+    // Transform toggles: mirrored (left-hand) and inverted versions
+    this.transforms = { mirror: false, inverse: false };
+    const transformsEl = document.createElement('div');
+    transformsEl.className = 'alg-transforms';
+    [
+      ['mirror', 'Mirror', 'Mirror left/right (left-hand version)'],
+      ['inverse', 'Inverse', 'Play the algorithm backwards'],
+    ].forEach(([key, text, title]) => {
+      const btn = document.createElement('button');
+      btn.className = 'alg-transforms__btn';
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener('click', () => {
+        this.transforms[key] = !this.transforms[key];
+        btn.classList.toggle('alg-transforms__btn--active', this.transforms[key]);
+        this._renderVariant();
+      });
+      transformsEl.appendChild(btn);
+    });
+    this.body.appendChild(transformsEl);
+
+    // Enlarged case diagram, redrawn by _renderVariant
+    this.caseEl = null;
+    if (this._isLastLayerCase()) {
+      this.caseEl = document.createElement('div');
+      this.caseEl.className = 'alg-card__case';
+      this.body.appendChild(this.caseEl);
+    }
+
+    // Cube viewer, with the unfolded net beside it
+    const stageEl = document.createElement('div');
+    stageEl.className = 'cube-stage';
     const viewerEl = document.createElement('div');
     viewerEl.className = 'cube-viewer';
-    this.body.appendChild(viewerEl);
+    const netEl = document.createElement('div');
+    netEl.className = 'cube-stage__net';
+    stageEl.appendChild(viewerEl);
+    stageEl.appendChild(netEl);
+    this.body.appendChild(stageEl);
 
-    // Algorithm display with per-move spans
-    const algDisplay = document.createElement('div');
-    algDisplay.className = 'alg-display';
-    const moves = MoveParser.parse(this.data.algorithm);
-    this.moveSpans = moves.map((m, i) => {
-      const span = document.createElement('span');
-      span.className = 'alg-display__move';
-      span.textContent = m.toString();
-      algDisplay.appendChild(span);
-      if (i < moves.length - 1) {
-        algDisplay.appendChild(document.createTextNode(' '));
+    // Algorithm display and step breakdown, filled by _renderVariant
+    this.algDisplay = document.createElement('div');
+    this.algDisplay.className = 'alg-display';
+    this.body.appendChild(this.algDisplay);
+
+    this.stepsEl = document.createElement('div');
+    this.stepsEl.className = 'alg-steps';
+    this.body.appendChild(this.stepsEl);
+
+    // Init controller
+    this.controller = new CubeController(viewerEl);
+    this.net = new CubeNet(netEl);
+    this.moveSpans = [];
+    this.stepRows = [];
+
+    // Highlight current move + active step row
+    this.controller.onStepChange = (current, total) => {
+      this._clearStickerHighlights();
+      this.net.update(this.controller.model);
+      new Set(this.moveSpans).forEach((span) => {
+        span.classList.remove('alg-display__move--active', 'alg-display__move--done');
+      });
+      this.moveSpans.forEach((span, i) => {
+        if (i < current) span.classList.add('alg-display__move--done');
+      });
+      if (current < this.moveSpans.length) {
+        const span = this.moveSpans[current];
+        span.classList.remove('alg-display__move--done');
+        span.classList.add('alg-display__move--active');
       }
-      return span;
+      this.stepRows.forEach((row) => {
+        row.el.classList.toggle('alg-steps__row--active',
+          current >= row.start && current < row.end);
+        row.el.classList.toggle('alg-steps__row--done',
+          current >= row.end);
+      });
+      if (this.expanded && this.onViewChange) this.onViewChange(this);
+    };
+
+    this.controller.onTurn = () => this.net.update(this.controller.model);
+
+    this._renderChoice();
+    this._renderVariant();
+
+    // Player controls
+    const controlsWrap = document.createElement('div');
+    this.body.appendChild(controlsWrap);
+    new PlayerControls(controlsWrap, this.controller);
+  }
+
+  /**
+   * Switch to algorithm `index` (0 = main) and remember it as preferred.
+   */
+  choose(index) {
+    this.choice = index;
+    AlgorithmPreferences.set(this.data.id, index);
+    this._renderHeaderAlgorithm();
+    this._renderChoice();
+    this._renderVariant();
+  }
+
+  /**
+   * Review state: the "due" badge in the header and, once the body is
+   * built, the next review date with the grade buttons.
+   */
+  _renderReview() {
+    const record = ProgressTracker.getRecord(this.data.id);
+    const due = ProgressTracker.isDue(this.data.id);
+    this.dueEl.hidden = !due;
+    if (!this.reviewEl) return;
+
+    const learned = Boolean(record && record.learned);
+    this.reviewEl.hidden = !learned;
+    if (!learned) return;
+    const reviews = record.history.length;
+    const when = due ? 'Due for review now' : `Next review ${formatDue(record.due)}`;
+    this.reviewStatusEl.textContent =
+      `${when} · ${reviews} review${reviews === 1 ? '' : 's'}. How well did you know it?`;
+  }
+
+  _renderChoice() {
+    (this.choiceBtns || []).forEach((btn, i) => {
+      btn.classList.toggle('alg-choices__btn--active', i === this.choice);
     });
-    this.body.appendChild(algDisplay);
+    const { notes, source } = this.algorithm;
+    this.notesEl.textContent = [notes, source && `Source: ${source}`].filter(Boolean).join(' · ');
+    this.notesEl.hidden = !notes && !source;
+  }
 
-    // Step breakdown: map groups of moves to descriptions
-    const steps = this.data.steps || [];
-    this.stepRows = [];
-    if (steps.length > 0) {
-      const stepsEl = document.createElement('div');
-      stepsEl.className = 'alg-steps';
-      let moveIdx = 0;
-      steps.forEach((step) => {
-        const startIdx = moveIdx;
-        const endIdx = moveIdx + step.moves; // exclusive
-        moveIdx = endIdx;
-
-        const row = document.createElement('div');
-        row.className = 'alg-steps__row';
-
-        const movesText = document.createElement('span');
-        movesText.className = 'alg-steps__moves';
-        movesText.textContent = moves.slice(startIdx, endIdx).map(m => m.toString()).join(' ');
-
-        const label = document.createElement('span');
-        label.className = 'alg-steps__label';
-        this._renderLabelWithHighlights(label, step.label, step.highlights || [], startIdx);
-
-        row.appendChild(movesText);
-        row.appendChild(label);
-        stepsEl.appendChild(row);
-        this.stepRows.push({ el: row, start: startIdx, end: endIdx });
+  /**
+   * OLL/PLL entries carry a recognition pattern; they get last-layer diagrams.
+   */
+  _isLastLayerCase() {
+    return Boolean(this.data.recognition && this.data.recognition.topPattern);
+  }
+
+  /**
+   * Work out the moves, setup and steps for the selected transforms.
+   * `tree` is only set for the untransformed algorithm, which is shown
+   * as written; transformed versions are shown as plain move lists.
+   */
+  _variant() {
+    const tree = MoveParser.parseTree(this.algorithm.algorithm);
+    let moves = MoveParser.flatten(tree);
+    let setup = MoveParser.parse(this.data.setupMoves || '');
+    let steps = this.algorithm.steps || [];
+
+    if (!this.transforms.mirror && !this.transforms.inverse) {
+      return { tree, moves, setup, steps };
+    }
+
+    if (this.transforms.inverse) {
+      // Start one algorithm past where the original ends, so playing the
+      // inverse arrives at the original's end state. Moves are inverted
+      // one-for-one (not simplified) to keep the step counts aligned.
+      setup = MoveParser.concat(setup, moves, moves);
+      moves = moves.map(m => m.inverse()).reverse();
+      steps = [...steps].reverse();
+    }
+    if (this.transforms.mirror) {
+      setup = MoveParser.mirror(setup);
+      moves = MoveParser.mirror(moves);
+    }
+    return { tree: null, moves, setup, steps };
+  }
+
+  /**
+   * (Re)build the move spans and step rows, and load the cube demo,
+   * for the current transforms.
+   */
+  _renderVariant() {
+    const { tree, moves, setup, steps } = this._variant();
+
+    if (this.caseEl) {
+      const state = new CubeModel();
+      state.applyMoves(setup, false);
+      this.caseEl.innerHTML = '';
+      this.caseEl.appendChild(PatternDiagram.fromState(state, { size: 160 }));
+    }
+
+    // Algorithm display with per-move spans. The original is rebuilt from
+    // the parse tree so groups, brackets and comments appear as written;
+    // moves expanded from a repeated group or commutator share the span
+    // of the move they came from.
+    this.algDisplay.innerHTML = '';
+    if (tree) {
+      const nodeSpans = new Map();
+      this._renderAlgNode(tree, this.algDisplay, nodeSpans);
+      this.moveSpans = moves.map(m => nodeSpans.get(m.source));
+    } else {
+      this.moveSpans = moves.map((m, i) => {
+        if (i > 0) this.algDisplay.appendChild(document.createTextNode(' '));
+        const span = document.createElement('span');
+        span.className = 'alg-display__move';
+        span.textContent = m.toString();
+        this.algDisplay.appendChild(span);
+        return span;
       });
-      this.body.appendChild(stepsEl);
     }
 
-    // Init controller
-    this.controller = new CubeController(viewerEl);
-    this.controller.loadAlgorithm(this.data.algorithm, this.data.setupMoves || '');
+    // Step breakdown: map groups of moves to descriptions
+    this.stepsEl.innerHTML = '';
+    this.stepsEl.hidden = steps.length === 0;
+    this.stepRows = [];
+    let moveIdx = 0;
+    steps.forEach((step) => {
+      const startIdx = moveIdx;
+      const endIdx = moveIdx + step.moves; // exclusive
+      moveIdx = endIdx;
+
+      const row = document.createElement('div');
+      row.className = 'alg-steps__row';
+
+      const movesText = document.createElement('span');
+      movesText.className = 'alg-steps__moves';
+      movesText.textContent = moves.slice(startIdx, endIdx).map(m => m.toString()).join(' ');
+
+      const label = document.createElement('span');
+      label.className = 'alg-steps__label';
+      this._renderLabelWithHighlights(label, step.label, step.highlights || [], startIdx);
+
+      row.appendChild(movesText);
+      row.appendChild(label);
+      this.stepsEl.appendChild(row);
+      this.stepRows.push({ el: row, start: startIdx, end: endIdx });
+    });
 
     // Build move-to-step-row lookup
     const moveToRow = new Array(moves.length).fill(null);
@@ -194,6 +479,7 @@ export class AlgorithmCard {
     // Also cross-highlight between move spans and step rows
     moves.forEach((move, i) => {
       const span = this.moveSpans[i];
+      if (this.moveSpans.indexOf(span) !== i) return; // bind shared spans once
       span.addEventListener('mouseenter', () => {
         this.controller.renderer.highlightFace(move.face);
         const row = moveToRow[i];
@@ -236,29 +522,80 @@ export class AlgorithmCard {
       });
     });
 
-    // Highlight current move + active step row
-    this.controller.onStepChange = (current, total) => {
-      this.controller.renderer.clearStickerHighlights();
-      this.moveSpans.forEach((span, i) => {
-        span.classList.remove('alg-display__move--active', 'alg-display__move--done');
-        if (i < current) {
-          span.classList.add('alg-display__move--done');
-        } else if (i === current) {
-          span.classList.add('alg-display__move--active');
-        }
-      });
-      this.stepRows.forEach((row) => {
-        row.el.classList.toggle('alg-steps__row--active',
-          current >= row.start && current < row.end);
-        row.el.classList.toggle('alg-steps__row--done',
-          current >= row.end);
-      });
+    this.controller.loadAlgorithm(MoveParser.toString(moves), MoveParser.toString(setup));
+  }
+
+  /**
+   * Collect parser diagnostics for the algorithms and the setup moves.
+   */
+  _checkNotation() {
+    const fields = [
+      ['algorithm', this.data.algorithm],
+      ['setupMoves', this.data.setupMoves],
+      ...this.algorithms.slice(1).map((alt, i) => [`alternative ${i + 1}`, alt.algorithm]),
+    ];
+    return fields.flatMap(([field, text]) =>
+      MoveParser.check(text).map(error => ({ field, ...error })));
+  }
+
+  _formatNotationError(error) {
+    let text = `${error.field}: ${error.reason} at column ${error.column}`;
+    if (error.suggestion) text += ` — ${error.suggestion}`;
+    return text;
+  }
+
+  /**
+   * Render a parse tree node into the algorithm display.
+   * Move nodes become spans, recorded in nodeSpans for highlighting.
+   */
+  _renderAlgNode(node, parent, nodeSpans) {
+    const punct = (text) => {
+      const span = document.createElement('span');
+      span.className = 'alg-display__bracket';
+      span.textContent = text;
+      parent.appendChild(span);
     };
 
-    // Player controls
-    const controlsWrap = document.createElement('div');
-    this.body.appendChild(controlsWrap);
-    new PlayerControls(controlsWrap, this.controller);
+    switch (node.type) {
+      case 'sequence':
+        node.items.forEach((item, i) => {
+          if (i > 0) parent.appendChild(document.createTextNode(' '));
+          this._renderAlgNode(item, parent, nodeSpans);
+        });
+        break;
+
+      case 'move': {
+        const span = document.createElement('span');
+        span.className = 'alg-display__move';
+        span.textContent = node.text;
+        parent.appendChild(span);
+        nodeSpans.set(node, span);
+        break;
+      }
+
+      case 'comment': {
+        const span = document.createElement('span');
+        span.className = 'alg-display__comment';
+        span.textContent = node.text;
+        parent.appendChild(span);
+        break;
+      }
+
+      case 'group':
+        punct(node.delimiters[0]);
+        this._renderAlgNode(node.body, parent, nodeSpans);
+        punct(node.delimiters[1] + node.suffix);
+        break;
+
+      case 'commutator':
+      case 'conjugate':
+        punct('[');
+        this._renderAlgNode(node.a, parent, nodeSpans);
+        punct(node.type === 'commutator' ? ', ' : ': ');
+        this._renderAlgNode(node.b, parent, nodeSpans);
+        punct(']' + node.suffix);
+        break;
+    }
   }
 
   _renderLabelWithHighlights(labelEl, text, highlights, stepStartMoveIndex) {
@@ -297,12 +634,12 @@ export class AlgorithmCard {
         const snapshot = this.controller.getModelAtMoveIndex(stepStartMoveIndex);
         const stickers = PieceHighlighter.resolve(h, snapshot);
         if (stickers.length > 0) {
-          this.controller.renderer.highlightStickers(stickers);
+          this._highlightStickers(stickers);
         }
       });
 
       span.addEventListener('mouseleave', () => {
-        this.controller.renderer.clearStickerHighlights();
+        this._clearStickerHighlights();
       });
 
       span.addEventListener('click', (e) => {
@@ -319,10 +656,35 @@ export class AlgorithmCard {
     }
   }
 
+  /**
+   * Highlight stickers on both the 3D cube and the net.
+   */
+  _highlightStickers(stickers) {
+    this.controller.renderer.highlightStickers(stickers);
+    this.net.highlightStickers(stickers);
+  }
+
+  _clearStickerHighlights() {
+    this.controller.renderer.clearStickerHighlights();
+    this.net.clearStickerHighlights();
+  }
+
   dispose() {
     if (this.controller) {
       this.controller.dispose();
       this.controller = null;
     }
+    if (this.net) {
+      this.net.dispose();
+      this.net = null;
+    }
   }
 }
+
+/**
+ * "tomorrow", "in 6 days", ... for a future due date.
+ */
+function formatDue(due) {
+  const days = Math.ceil((due - Date.now()) / DAY);
+  return days <= 1 ? 'tomorrow' : `in ${days} days`;
+}
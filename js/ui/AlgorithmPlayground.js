@@ -0,0 +1,240 @@
+/**
+ * Algorithm playground: type a setup and an algorithm, see them parsed
+ * as you type (problems marked where they occur) and play the result on
+ * the cube. The moves light up as they play, as on an algorithm card,
+ * and the page URL always holds both texts, so it can be shared.
+ */
+
+import { CubeController } from '../cube/CubeController.js';
+import { MoveParser } from '../cube/MoveParser.js';
+import { MoveSimplifier } from '../cube/MoveSimplifier.js';
+import { copyLinkButton } from './CopyLinkButton.js';
+import { PlayerControls } from './PlayerControls.js';
+
+export class AlgorithmPlayground {
+  /**
+   * @param {HTMLElement} container
+   * @param {object} [options]
+   * @param {string} [options.setup=''] - setup moves to start with
+   * @param {string} [options.alg=''] - algorithm to start with
+   */
+  constructor(container, { setup = '', alg = '' } = {}) {
+    this.container = container;
+    this.controller = null;
+    this.moveSpans = [];
+    this._build();
+    this.setupField.input.value = setup;
+    this.algField.input.value = alg;
+    this.update();
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'playground';
+
+    this.setupField = this._field('Setup', "e.g. F R U R' U' F'", 2);
+    this.algField = this._field('Algorithm', "e.g. R U R' U R U2 R'  // Sune", 4);
+
+    this.metricsEl = document.createElement('div');
+    this.metricsEl.className = 'alg-card__metrics playground__metrics';
+
+    const viewerEl = document.createElement('div');
+    viewerEl.className = 'cube-viewer';
+    const controlsWrap = document.createElement('div');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'playground__toolbar';
+    const copyBtn = copyLinkButton(() => this.link);
+    const invertBtn = document.createElement('button');
+    invertBtn.className = 'tier-toggle__btn';
+    invertBtn.textContent = 'Setup = inverse of algorithm';
+    invertBtn.title = 'Start from the case the algorithm solves';
+    invertBtn.addEventListener('click', () => {
+      this.setupField.input.value = MoveParser.toString(MoveParser.inverse(this.algField.input.value));
+      this.update();
+    });
+    toolbar.appendChild(copyBtn);
+    toolbar.appendChild(invertBtn);
+
+    this.el.appendChild(this.setupField.el);
+    this.el.appendChild(this.algField.el);
+    this.el.appendChild(this.metricsEl);
+    this.el.appendChild(viewerEl);
+    this.el.appendChild(controlsWrap);
+    this.el.appendChild(toolbar);
+    this.container.appendChild(this.el);
+
+    this.controller = new CubeController(viewerEl);
+
+    // Highlight the current move, as AlgorithmCard does. Set before
+    // PlayerControls, which chains its step counter onto it.
+    this.controller.onStepChange = (current) => {
+      new Set(this.moveSpans).forEach((span) => {
+        span.classList.remove('alg-display__move--active', 'alg-display__move--done');
+      });
+      this.moveSpans.forEach((span, i) => {
+        if (i < current) span.classList.add('alg-display__move--done');
+      });
+      if (current < this.moveSpans.length) {
+        const span = this.moveSpans[current];
+        span.classList.remove('alg-display__move--done');
+        span.classList.add('alg-display__move--active');
+      }
+    };
+    new PlayerControls(controlsWrap, this.controller);
+  }
+
+  /**
+   * A labelled textarea with the parsed text shown below it and its
+   * problems listed.
+   */
+  _field(text, placeholder, rows) {
+    const el = document.createElement('div');
+    el.className = 'playground__field';
+    const label = document.createElement('label');
+    label.className = 'playground__label';
+    label.textContent = text;
+    const input = document.createElement('textarea');
+    input.className = 'playground__input';
+    input.rows = rows;
+    input.spellcheck = false;
+    input.placeholder = placeholder;
+    input.addEventListener('input', () => this.update());
+    label.appendChild(input);
+    const display = document.createElement('div');
+    display.className = 'alg-display playground__display';
+    const errors = document.createElement('ul');
+    errors.className = 'playground__errors';
+    el.appendChild(label);
+    el.appendChild(display);
+    el.appendChild(errors);
+    return { el, input, display, errors };
+  }
+
+  get setup() {
+    return this.setupField.input.value;
+  }
+
+  get alg() {
+    return this.algField.input.value;
+  }
+
+  /**
+   * Re-parse both texts and reload the cube.
+   */
+  update() {
+    this._renderField(this.setupField);
+    const { tree, nodeSpans } = this._renderField(this.algField);
+    const moves = MoveParser.flatten(tree);
+
+    // Moves expanded from a group or commutator share their source's span
+    this.moveSpans = moves.map(m => nodeSpans.get(m.source));
+    moves.forEach((move, i) => {
+      const span = this.moveSpans[i];
+      if (this.moveSpans.indexOf(span) !== i) return; // bind shared spans once
+      span.addEventListener('click', () => this.controller.goToStep(i + 1));
+    });
+
+    const counts = MoveSimplifier.metrics(moves);
+    this.metricsEl.textContent = moves.length === 0 ? '' :
+      `${counts.htm} HTM · ${counts.qtm} QTM · ${counts.stm} STM · ${counts.etm} ETM`;
+
+    this.controller.loadAlgorithm(MoveParser.toString(moves), this.setup);
+    history.replaceState(null, '', this.link);
+  }
+
+  /**
+   * Show a field's text as parsed: moves as spans, comments dimmed and
+   * problems marked in place, then listed.
+   * @returns {{ tree: Object, nodeSpans: Map }} the parse tree, and the
+   *   span of each of its move nodes
+   */
+  _renderField({ input, display, errors }) {
+    const text = input.value;
+    const tree = MoveParser.parseTree(text);
+    const problems = MoveParser.check(text);
+    const marks = [
+      ...leaves(tree),
+      ...problems.map(p => ({ type: 'error', start: p.offset, end: p.offset + p.token.length, problem: p })),
+    ].sort((a, b) => a.start - b.start || (a.type === 'error' ? -1 : 1));
+
+    const nodeSpans = new Map();
+    display.innerHTML = '';
+    display.hidden = !text.trim();
+    let cursor = 0;
+    for (const mark of marks) {
+      if (mark.start < cursor) continue; // overlapping, skip
+      if (mark.start > cursor) {
+        display.appendChild(document.createTextNode(text.slice(cursor, mark.start)));
+      }
+      const span = document.createElement('span');
+      span.className = {
+        move: 'alg-display__move',
+        comment: 'alg-display__comment',
+        error: 'alg-display__error',
+      }[mark.type];
+      span.textContent = text.slice(mark.start, mark.end);
+      if (mark.type === 'move') nodeSpans.set(mark, span);
+      if (mark.type === 'error') span.title = mark.problem.reason;
+      display.appendChild(span);
+      cursor = mark.end;
+    }
+    if (cursor < text.length) {
+      display.appendChild(document.createTextNode(text.slice(cursor)));
+    }
+
+    errors.innerHTML = '';
+    for (const problem of problems) {
+      const item = document.createElement('li');
+      item.className = 'playground__error';
+      item.textContent = formatProblem(problem);
+      errors.appendChild(item);
+    }
+    return { tree, nodeSpans };
+  }
+
+  /**
+   * Link to this page with the current setup and algorithm.
+   */
+  get link() {
+    const url = new URL(location.href);
+    url.hash = '';
+    url.search = '';
+    if (this.setup.trim()) url.searchParams.set('setup', this.setup);
+    if (this.alg.trim()) url.searchParams.set('alg', this.alg);
+    return url.href;
+  }
+
+  dispose() {
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+}
+
+/**
+ * Move and comment nodes of a parse tree, in order.
+ */
+function leaves(node) {
+  switch (node.type) {
+    case 'move':
+    case 'comment':
+      return [node];
+    case 'sequence':
+      return node.items.flatMap(leaves);
+    case 'group':
+      return leaves(node.body);
+    case 'commutator':
+    case 'conjugate':
+      return [...leaves(node.a), ...leaves(node.b)];
+    default:
+      return [];
+  }
+}
+
+function formatProblem({ reason, line, column, suggestion }) {
+  let text = `Line ${line}, column ${column}: ${reason}`;
+  if (suggestion) text += ` — ${suggestion}`;
+  return text;
+}
@@ -0,0 +1,40 @@
+/**
+ * Remembers, per case, which of its algorithms the user prefers, via
+ * localStorage. Stored as an index into CaseBuilder.algorithms(entry):
+ * 0 is the main algorithm, 1+ its alternatives.
+ */
+
+const STORAGE_KEY = 'learn-cfop-preferred-algs';
+
+export class AlgorithmPreferences {
+  static _getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  static _saveAll(data) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * Preferred algorithm index for a case, clamped to the number of
+   * algorithms it has (the data may have changed since it was saved).
+   */
+  static get(id, count) {
+    const index = this._getAll()[id] || 0;
+    return index < count ? index : 0;
+  }
+
+  static set(id, index) {
+    const data = this._getAll();
+    if (index > 0) {
+      data[id] = index;
+    } else {
+      delete data[id];
+    }
+    this._saveAll(data);
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * Type-it-from-memory quiz: shows a case (by name, on the cube and, for
+ * the last layer, as a diagram) and asks for an algorithm. Any algorithm
+ * that solves the case counts, whatever its notation, AUF or grip (see
+ * AlgorithmMatcher). A wrong answer is replayed on the cube up to the
+ * move where it leaves every known solution.
+ */
+
+import { AlgorithmMatcher } from '../cube/AlgorithmMatcher.js';
+import { CaseBuilder } from '../cube/CaseBuilder.js';
+import { CubeController } from '../cube/CubeController.js';
+import { CubeModel } from '../cube/CubeModel.js';
+import { MoveParser } from '../cube/MoveParser.js';
+import { PatternDiagram } from './PatternDiagram.js';
+import { PlayerControls } from './PlayerControls.js';
+import { ProgressTracker } from './ProgressTracker.js';
+
+const AUFS = ['', 'U', "U'", 'U2'];
+
+const SETS = [['f2l', 'F2L'], ['oll', 'OLL'], ['pll', 'PLL']];
+
+export class AlgorithmQuiz {
+  /**
+   * @param {HTMLElement} container
+   * @param {{ f2l: Object[], oll: Object[], pll: Object[] }} cases - prepared data entries
+   * @param {object} [options]
+   * @param {string} [options.set='oll'] - 'f2l', 'oll' or 'pll'
+   */
+  constructor(container, cases, { set = 'oll' } = {}) {
+    this.container = container;
+    this.cases = cases;
+    this.controller = null;
+    this.current = null; // { entry, setup, solution, answer, answered }
+    this.session = { answered: 0, correct: 0 };
+    this._build(set);
+    this.next();
+  }
+
+  _build(set) {
+    this.el = document.createElement('div');
+    this.el.className = 'quiz';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'quiz__toolbar';
+    this.setSelect = this._select('Set', SETS, set);
+    this.tierSelect = this._select('Cases', [
+      ['learned', 'Learned'],
+      ['beginner', 'Beginner'],
+      ['full', 'Full set'],
+    ], 'full');
+    [this.setSelect, this.tierSelect].forEach((select) => {
+      select.addEventListener('change', () => this.next());
+      toolbar.appendChild(select.parentNode);
+    });
+
+    this.caseEl = document.createElement('h2');
+    this.caseEl.className = 'quiz__case';
+
+    const stage = document.createElement('div');
+    stage.className = 'quiz__stage';
+    this.diagramEl = document.createElement('div');
+    this.diagramEl.className = 'quiz__diagram';
+    const viewerEl = document.createElement('div');
+    viewerEl.className = 'cube-viewer';
+    stage.appendChild(this.diagramEl);
+    stage.appendChild(viewerEl);
+    const controlsWrap = document.createElement('div');
+
+    this.form = document.createElement('form');
+    this.form.className = 'quiz__form';
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'quiz__input';
+    this.input.spellcheck = false;
+    this.input.autocomplete = 'off';
+    this.input.placeholder = "Type the algorithm, e.g. R U R' U'";
+    this.input.setAttribute('aria-label', 'Algorithm');
+    this.input.addEventListener('input', () => this._checkNotation());
+    this.checkBtn = document.createElement('button');
+    this.checkBtn.type = 'submit';
+    this.checkBtn.className = 'btn btn--primary';
+    this.checkBtn.textContent = 'Check';
+    this.giveUpBtn = document.createElement('button');
+    this.giveUpBtn.type = 'button';
+    this.giveUpBtn.className = 'tier-toggle__btn';
+    this.giveUpBtn.textContent = 'Show answer';
+    this.giveUpBtn.addEventListener('click', () => this.giveUp());
+    this.form.appendChild(this.input);
+    this.form.appendChild(this.checkBtn);
+    this.form.appendChild(this.giveUpBtn);
+    // Enter checks the answer, then moves on to the next case
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.current && this.current.answered) {
+        this.next();
+      } else {
+        this.submit();
+      }
+    });
+
+    this.errorEl = document.createElement('div');
+    this.errorEl.className = 'quiz__error';
+
+    this.feedbackEl = document.createElement('div');
+    this.feedbackEl.className = 'quiz__feedback';
+    this.feedbackEl.setAttribute('aria-live', 'polite');
+
+    this.movesEl = document.createElement('div');
+    this.movesEl.className = 'quiz__moves';
+
+    this.replayEl = document.createElement('div');
+    this.replayEl.className = 'quiz__replay';
+
+    this.summaryEl = document.createElement('div');
+    this.summaryEl.className = 'quiz__summary';
+
+    this.el.appendChild(toolbar);
+    this.el.appendChild(this.caseEl);
+    this.el.appendChild(stage);
+    this.el.appendChild(controlsWrap);
+    this.el.appendChild(this.form);
+    this.el.appendChild(this.errorEl);
+    this.el.appendChild(this.feedbackEl);
+    this.el.appendChild(this.movesEl);
+    this.el.appendChild(this.replayEl);
+    this.el.appendChild(this.summaryEl);
+    this.container.appendChild(this.el);
+
+    this.controller = new CubeController(viewerEl);
+    new PlayerControls(controlsWrap, this.controller);
+  }
+
+  _select(text, options, value) {
+    const label = document.createElement('label');
+    label.className = 'quiz__option';
+    label.textContent = `${text} `;
+    const select = document.createElement('select');
+    select.className = 'session__select';
+    for (const [optionValue, optionText] of options) {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionText;
+      select.appendChild(option);
+    }
+    select.value = value;
+    label.appendChild(select);
+    return select;
+  }
+
+  get set() {
+    return this.setSelect.value;
+  }
+
+  /**
+   * Entries of the selected set and tier.
+   */
+  get entries() {
+    const tier = this.tierSelect.value;
+    return this.cases[this.set].filter((entry) => {
+      if (tier === 'learned') return ProgressTracker.isCompleted(entry.id);
+      return tier === 'full' || entry.tier === 'beginner';
+    });
+  }
+
+  /**
+   * Show a random case of the selection, from a random AUF.
+   */
+  next() {
+    const { entries } = this;
+    this.input.value = '';
+    this.errorEl.textContent = '';
+    this.feedbackEl.textContent = '';
+    this.feedbackEl.className = 'quiz__feedback';
+    this.movesEl.innerHTML = '';
+    this.replayEl.innerHTML = '';
+    this.checkBtn.textContent = 'Check';
+    this._renderSummary();
+
+    if (entries.length === 0) {
+      this.current = null;
+      this.caseEl.textContent = 'No learned cases in this set yet';
+      this.diagramEl.innerHTML = '';
+      this.controller.loadAlgorithm('', '');
+      this._setAnswerable(false);
+      return;
+    }
+
+    const random = list => list[Math.floor(Math.random() * list.length)];
+    const previous = this.current ? this.current.entry : null;
+    const pool = entries.length > 1 ? entries.filter(e => e !== previous) : entries;
+    const entry = random(pool);
+    const auf = random(AUFS);
+    const setup = `${CaseBuilder.setupMoves(entry)} ${auf}`.trim();
+    const undo = auf ? `(${MoveParser.toString(MoveParser.inverse(auf))}) ` : '';
+
+    this.current = { entry, setup, solution: `${undo}${entry.algorithm}`, answer: '', answered: false };
+    this.caseEl.textContent = entry.name;
+    this.diagramEl.innerHTML = '';
+    if (this.set !== 'f2l') {
+      const model = new CubeModel();
+      model.applyMoves(MoveParser.parse(setup), false);
+      this.diagramEl.appendChild(PatternDiagram.fromState(model, { size: 160, arrows: false }));
+    }
+    this.controller.loadAlgorithm('', setup);
+    this._setAnswerable(true);
+    this.input.focus();
+  }
+
+  _setAnswerable(answerable) {
+    this.input.disabled = !answerable;
+    this.checkBtn.disabled = !answerable;
+    this.giveUpBtn.disabled = !answerable;
+  }
+
+  /**
+   * Live notation check of the typed answer.
+   * @returns {boolean} whether it can be read
+   */
+  _checkNotation() {
+    const errors = MoveParser.check(this.input.value);
+    if (errors.length === 0) {
+      this.errorEl.textContent = '';
+      return true;
+    }
+    const [{ token, column, reason }] = errors;
+    this.errorEl.textContent = `Can't read "${token}" at column ${column}: ${reason}`;
+    return false;
+  }
+
+  /**
+   * Check the typed algorithm against the case.
+   */
+  submit() {
+    if (!this.current || this.current.answered) return;
+    const answer = this.input.value.trim();
+    if (!answer || !this._checkNotation()) return;
+
+    const { entry, setup, solution } = this.current;
+    this.current.answer = answer;
+    const preAUF = AlgorithmMatcher.match(setup, solution, answer, this.set);
+    this._finish(preAUF !== null);
+
+    if (preAUF !== null) {
+      const count = MoveParser.parse(answer).length;
+      this.feedbackEl.textContent = `✓ Solves ${entry.name} · ${count} move${count === 1 ? '' : 's'}` +
+        (preAUF ? ` (after ${preAUF})` : '');
+      this.controller.loadAlgorithm(`${preAUF ? `(${preAUF}) ` : ''}${answer}`, setup);
+      this.controller.play();
+      return;
+    }
+
+    // Replay the answer up to where it leaves the known solutions
+    const references = CaseBuilder.algorithms(entry).map(alg => alg.algorithm);
+    const onTrack = AlgorithmMatcher.divergence(setup, references, answer);
+    const moves = MoveParser.parse(answer);
+    this.feedbackEl.textContent = onTrack === moves.length
+      ? `✗ Your ${moves.length} move${moves.length === 1 ? '' : 's'} follow a solution but stop short`
+      : `✗ Doesn't solve it: move ${onTrack + 1} (${moves[onTrack].toString()}) leaves every known solution`;
+    this._renderMoves(moves, onTrack);
+    this._renderReplay(onTrack);
+    this.controller.loadAlgorithm(answer, setup);
+    this.controller.playRange(0, Math.min(onTrack + 1, moves.length));
+  }
+
+  /**
+   * Give up: show and play a solution.
+   */
+  giveUp() {
+    if (!this.current || this.current.answered) return;
+    this._finish(false);
+    this.feedbackEl.textContent = `${this.current.entry.name}: ${this.current.solution}`;
+    this.controller.loadAlgorithm(this.current.solution, this.current.setup);
+    this.controller.play();
+  }
+
+  _finish(correct) {
+    this.current.answered = true;
+    this.session.answered += 1;
+    if (correct) this.session.correct += 1;
+    this.feedbackEl.classList.add(correct ? 'quiz__feedback--correct' : 'quiz__feedback--wrong');
+    this.giveUpBtn.disabled = true;
+    this.checkBtn.textContent = 'Next case';
+    this._renderSummary();
+  }
+
+  /**
+   * The answer's moves, split at the divergence; each jumps the cube there.
+   */
+  _renderMoves(moves, onTrack) {
+    this.movesEl.innerHTML = '';
+    moves.forEach((move, i) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'quiz__move';
+      if (i === onTrack) btn.classList.add('quiz__move--diverge');
+      else if (i > onTrack) btn.classList.add('quiz__move--off');
+      btn.textContent = move.toString();
+      btn.title = `After move ${i + 1}`;
+      btn.addEventListener('click', () => {
+        this.controller.loadAlgorithm(this.current.answer, this.current.setup);
+        this.controller.goToStep(i + 1);
+      });
+      this.movesEl.appendChild(btn);
+    });
+  }
+
+  _renderReplay(onTrack) {
+    const { setup, answer, solution } = this.current;
+    const buttons = [
+      ['Replay yours', () => {
+        this.controller.loadAlgorithm(answer, setup);
+        this.controller.playRange(0, onTrack + 1);
+      }],
+      ['Play a solution', () => {
+        this.controller.loadAlgorithm(solution, setup);
+        this.controller.play();
+      }],
+    ];
+    this.replayEl.innerHTML = '';
+    for (const [text, onClick] of buttons) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'tier-toggle__btn';
+      btn.textContent = text;
+      btn.addEventListener('click', onClick);
+      this.replayEl.appendChild(btn);
+    }
+  }
+
+  _renderSummary() {
+    const { answered, correct } = this.session;
+    this.summaryEl.textContent = answered === 0 ? '' : `This session: ${correct} / ${answered} correct`;
+  }
+
+  dispose() {
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+}
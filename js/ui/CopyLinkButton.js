@@ -0,0 +1,25 @@
+/**
+ * "Copy link" button for pages whose URL holds what's on screen (the
+ * cube editor, the algorithm playground).
+ */
+
+/**
+ * @param {() => string} getLink - the link to copy, read on each click
+ * @returns {HTMLButtonElement}
+ */
+export function copyLinkButton(getLink) {
+  const button = document.createElement('button');
+  button.className = 'tier-toggle__btn';
+  button.textContent = 'Copy link';
+  button.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(getLink());
+      button.textContent = 'Link copied';
+    } catch {
+      // No clipboard access: the address bar has the same link
+      button.textContent = 'Copy it from the address bar';
+    }
+    setTimeout(() => { button.textContent = 'Copy link'; }, 2000);
+  });
+  return button;
+}
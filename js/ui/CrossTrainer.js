@@ -0,0 +1,214 @@
+/**
+ * Cross-planning trainer: shows a scramble, gives 15 seconds to plan the
+ * cross (as in WCA inspection), then reveals every optimal solution and
+ * plays the chosen one on the cube. Scrambles can be limited to a given
+ * optimal cross length.
+ */
+
+import { CrossSolver } from '../cube/CrossSolver.js';
+import { CubeController } from '../cube/CubeController.js';
+import { CubeModel } from '../cube/CubeModel.js';
+import { MoveParser } from '../cube/MoveParser.js';
+import { Scrambler } from '../cube/Scrambler.js';
+import { PlayerControls } from './PlayerControls.js';
+
+const PLAN_SECONDS = 15;
+const MAX_SHOWN = 50;
+
+// Cross colors, with the rotation that brings that center to D from the
+// scramble orientation (white top, green front)
+const CROSS_COLORS = [
+  ['white', 'White', 'z2'],
+  ['yellow', 'Yellow', ''],
+  ['green', 'Green', "x'"],
+  ['blue', 'Blue', 'x'],
+  ['red', 'Red', 'z'],
+  ['orange', 'Orange', "z'"],
+];
+
+export class CrossTrainer {
+  constructor(container) {
+    this.container = container;
+    this.controller = null;
+    this.scramble = '';
+    this._countdown = null;
+    this._build();
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'cross-trainer';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'cross-trainer__toolbar';
+
+    this.colorSelect = this._select('Cross', CROSS_COLORS.map(([value, text]) => [value, text]));
+    this.lengthSelect = this._select('Length', [
+      ['', 'Any'],
+      ...Array.from({ length: 8 }, (_, i) => [String(i + 1), `${i + 1} move${i === 0 ? '' : 's'}`]),
+    ]);
+
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'btn btn--primary';
+    nextBtn.textContent = 'New scramble';
+    nextBtn.addEventListener('click', () => this.next());
+
+    this.revealBtn = document.createElement('button');
+    this.revealBtn.className = 'tier-toggle__btn';
+    this.revealBtn.textContent = 'Reveal now';
+    this.revealBtn.addEventListener('click', () => this.reveal());
+
+    toolbar.appendChild(this.colorSelect.parentNode);
+    toolbar.appendChild(this.lengthSelect.parentNode);
+    toolbar.appendChild(nextBtn);
+    toolbar.appendChild(this.revealBtn);
+
+    this.scrambleEl = document.createElement('div');
+    this.scrambleEl.className = 'scramble-panel__text';
+
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'cross-trainer__status';
+
+    const viewerEl = document.createElement('div');
+    viewerEl.className = 'cube-viewer';
+
+    this.solutionsEl = document.createElement('div');
+    this.solutionsEl.className = 'cross-trainer__solutions';
+
+    const controlsWrap = document.createElement('div');
+
+    this.el.appendChild(toolbar);
+    this.el.appendChild(this.scrambleEl);
+    this.el.appendChild(this.statusEl);
+    this.el.appendChild(viewerEl);
+    this.el.appendChild(controlsWrap);
+    this.el.appendChild(this.solutionsEl);
+    this.container.appendChild(this.el);
+
+    this.controller = new CubeController(viewerEl);
+    new PlayerControls(controlsWrap, this.controller);
+  }
+
+  _select(text, options) {
+    const label = document.createElement('label');
+    label.className = 'cross-trainer__option';
+    label.textContent = `${text} `;
+    const select = document.createElement('select');
+    select.className = 'session__select';
+    for (const [value, optionText] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = optionText;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => this.next());
+    label.appendChild(select);
+    return select;
+  }
+
+  get color() {
+    return this.colorSelect.value;
+  }
+
+  /**
+   * New scramble (matching the length filter), then start planning time.
+   */
+  next() {
+    this._stopCountdown();
+    const seed = Scrambler.newSeed();
+    this.scramble = this._makeScramble(seed, this.lengthSelect.value ? Number(this.lengthSelect.value) : null);
+    this.scrambleEl.textContent = this.scramble;
+    this.solutionsEl.innerHTML = '';
+    this.revealBtn.disabled = false;
+    Scrambler.show(this.controller, this.scramble);
+
+    const end = performance.now() + PLAN_SECONDS * 1000;
+    const tick = () => {
+      const left = Math.ceil((end - performance.now()) / 1000);
+      if (left <= 0) {
+        this.reveal();
+        return;
+      }
+      this.statusEl.textContent = `Plan your ${this.color} cross: ${left}`;
+      this._countdown = setTimeout(tick, 250);
+    };
+    tick();
+  }
+
+  /**
+   * Random-move scramble; for a length filter, one whose cross is first
+   * solved and then set to a random cross of exactly that length.
+   */
+  _makeScramble(seed, length) {
+    const base = Scrambler.randomMoves({ seed });
+    if (length === null) return base;
+
+    const model = new CubeModel();
+    model.applyMoves(MoveParser.parse(base), false);
+    const [solution] = CrossSolver.solve(model, { color: this.color });
+    const tail = CrossSolver.randomCrossScramble(length, {
+      color: this.color,
+      random: Scrambler.createRandom(seed),
+    });
+    return MoveParser.toString(MoveParser.concat(base, solution, tail));
+  }
+
+  /**
+   * Stop the clock and list every optimal solution, held with the cross
+   * on the bottom.
+   */
+  reveal() {
+    this._stopCountdown();
+    this.revealBtn.disabled = true;
+
+    const model = new CubeModel();
+    model.applyMoves(MoveParser.parse(this.scramble), false);
+    const solutions = CrossSolver.solve(model, { color: this.color });
+    const length = CrossSolver.optimalLength(model, { color: this.color });
+    const [, , rotation] = CROSS_COLORS.find(([value]) => value === this.color);
+
+    this.statusEl.textContent = `Optimal ${this.color} cross: ${length} move${length === 1 ? '' : 's'}` +
+      ` · ${solutions.length} solution${solutions.length === 1 ? '' : 's'}`;
+
+    // Same turns, renamed for the cube held after the rotation
+    const unrotate = MoveParser.toString(MoveParser.inverse(rotation));
+    const hold = solution => (rotation
+      ? `${rotation} ${MoveParser.toString(MoveParser.rotate(solution, unrotate))}`
+      : solution);
+
+    this.solutionsEl.innerHTML = '';
+    solutions.slice(0, MAX_SHOWN).forEach((solution) => {
+      const held = hold(solution);
+      const btn = document.createElement('button');
+      btn.className = 'cross-trainer__solution';
+      btn.textContent = held.trim() || '(solved)';
+      btn.addEventListener('click', () => {
+        this.solutionsEl.querySelectorAll('.cross-trainer__solution--active')
+          .forEach(el => el.classList.remove('cross-trainer__solution--active'));
+        btn.classList.add('cross-trainer__solution--active');
+        this.controller.loadAlgorithm(held, this.scramble);
+        this.controller.play();
+      });
+      this.solutionsEl.appendChild(btn);
+    });
+    if (solutions.length > MAX_SHOWN) {
+      const more = document.createElement('span');
+      more.className = 'cross-trainer__more';
+      more.textContent = `+${solutions.length - MAX_SHOWN} more`;
+      this.solutionsEl.appendChild(more);
+    }
+  }
+
+  _stopCountdown() {
+    clearTimeout(this._countdown);
+    this._countdown = null;
+  }
+
+  dispose() {
+    this._stopCountdown();
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Cube state editor: paint stickers on the 3D cube (or on the 2D net,
+ * which also shows the hidden faces) with a color from the palette to
+ * copy the state of a real cube. Every change is checked with
+ * StateValidator; once the state is legal, its OLL/PLL case is named.
+ * The state can be pasted or copied as a facelet string (see
+ * StateCodec), and the page URL always links to the current state.
+ */
+
+import { CaseRecognizer } from '../cube/CaseRecognizer.js';
+import { CubeController } from '../cube/CubeController.js';
+import { StateCodec } from '../cube/StateCodec.js';
+import { StateValidator } from '../cube/StateValidator.js';
+import { copyLinkButton } from './CopyLinkButton.js';
+import { CubeNet } from './CubeNet.js';
+
+const PALETTE = [
+  ['white', 'White'],
+  ['yellow', 'Yellow'],
+  ['green', 'Green'],
+  ['blue', 'Blue'],
+  ['red', 'Red'],
+  ['orange', 'Orange'],
+];
+
+export class CubeEditor {
+  /**
+   * @param {HTMLElement} container
+   * @param {{ oll: Object[], pll: Object[] }} [cases] - prepared data
+   *   entries, to name the case of a legal state
+   * @param {object} [options]
+   * @param {string} [options.state] - StateCodec URL code to start from
+   */
+  constructor(container, cases = {}, { state = null } = {}) {
+    this.container = container;
+    this.cases = cases;
+    this.controller = null;
+    this.net = null;
+    this.color = PALETTE[0][0];
+    this._build();
+    this.reset();
+    if (state) this._import(() => StateCodec.fromURLCode(state));
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'cube-editor';
+
+    this.paletteEl = document.createElement('div');
+    this.paletteEl.className = 'cube-editor__palette';
+    this.paletteEl.setAttribute('role', 'radiogroup');
+    this.paletteEl.setAttribute('aria-label', 'Paint color');
+    for (const [color, name] of PALETTE) {
+      const swatch = document.createElement('button');
+      swatch.className = `cube-editor__swatch cube-editor__swatch--${color}`;
+      swatch.dataset.color = color;
+      swatch.title = name;
+      swatch.setAttribute('role', 'radio');
+      swatch.setAttribute('aria-label', name);
+      swatch.addEventListener('click', () => this.setColor(color));
+      this.paletteEl.appendChild(swatch);
+    }
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'cube-editor__toolbar';
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'tier-toggle__btn';
+    resetBtn.textContent = 'Reset to solved';
+    resetBtn.addEventListener('click', () => this.reset());
+    toolbar.appendChild(resetBtn);
+
+    // Facelet string in and out, plus a share link
+    const io = document.createElement('div');
+    io.className = 'cube-editor__io';
+    this.faceletsInput = document.createElement('input');
+    this.faceletsInput.type = 'text';
+    this.faceletsInput.className = 'cube-editor__facelets';
+    this.faceletsInput.spellcheck = false;
+    this.faceletsInput.autocomplete = 'off';
+    this.faceletsInput.setAttribute('aria-label', 'Facelet string (URFDLB order)');
+    this.faceletsInput.title = '54 letters: the U, R, F, D, L and B faces in turn, as used by other cube tools';
+    const loadBtn = document.createElement('button');
+    loadBtn.className = 'tier-toggle__btn';
+    loadBtn.textContent = 'Load facelets';
+    loadBtn.addEventListener('click', () => {
+      this._import(() => StateCodec.fromFacelets(this.faceletsInput.value));
+    });
+    this.faceletsInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') loadBtn.click();
+    });
+    const copyBtn = copyLinkButton(() => this.link);
+    io.appendChild(this.faceletsInput);
+    io.appendChild(loadBtn);
+    io.appendChild(copyBtn);
+
+    this.ioErrorEl = document.createElement('div');
+    this.ioErrorEl.className = 'cube-editor__io-error';
+
+    const stage = document.createElement('div');
+    stage.className = 'cube-stage';
+    const viewerEl = document.createElement('div');
+    viewerEl.className = 'cube-viewer cube-viewer--editing';
+    const netEl = document.createElement('div');
+    netEl.className = 'cube-stage__net';
+    stage.appendChild(viewerEl);
+    stage.appendChild(netEl);
+
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'cube-editor__status';
+    this.statusEl.setAttribute('aria-live', 'polite');
+
+    this.problemsEl = document.createElement('ul');
+    this.problemsEl.className = 'cube-editor__problems';
+
+    this.el.appendChild(this.paletteEl);
+    this.el.appendChild(toolbar);
+    this.el.appendChild(io);
+    this.el.appendChild(this.ioErrorEl);
+    this.el.appendChild(stage);
+    this.el.appendChild(this.statusEl);
+    this.el.appendChild(this.problemsEl);
+    this.container.appendChild(this.el);
+
+    this.controller = new CubeController(viewerEl);
+    this.controller.renderer.setStickerPicker((face, index) => this.paint(face, index));
+    this.net = new CubeNet(netEl);
+    this.net.svg.classList.add('cube-net--editable');
+    this.net.onStickerClick = (face, index) => this.paint(face, index);
+    this.setColor(this.color);
+  }
+
+  get model() {
+    return this.controller.model;
+  }
+
+  setColor(color) {
+    this.color = color;
+    this.paletteEl.querySelectorAll('.cube-editor__swatch').forEach((swatch) => {
+      const active = swatch.dataset.color === color;
+      swatch.classList.toggle('cube-editor__swatch--active', active);
+      swatch.setAttribute('aria-checked', String(active));
+    });
+  }
+
+  /**
+   * Paint one sticker with the current color. Centers can be painted
+   * too, to hold the cube another way up.
+   */
+  paint(face, index) {
+    this.model.faces[face][index] = this.color;
+    this._refresh([face, index]);
+  }
+
+  reset() {
+    this.controller.loadAlgorithm('', '');
+    this._refresh(null);
+  }
+
+  /**
+   * Load the state made by `read`, or show why it can't be read.
+   */
+  _import(read) {
+    let state;
+    try {
+      state = read();
+    } catch (error) {
+      this.ioErrorEl.textContent = error.message;
+      return;
+    }
+    this.controller.loadState(state);
+    this._refresh(null);
+  }
+
+  /**
+   * Link to this page with the current state.
+   */
+  get link() {
+    const url = new URL(location.href);
+    url.hash = '';
+    url.searchParams.set('state', StateCodec.toURLCode(this.model));
+    return url.href;
+  }
+
+  _refresh(suspect) {
+    this.controller.renderer.updateColors(this.model);
+    this.net.update(this.model);
+    this.faceletsInput.value = StateCodec.toFacelets(this.model);
+    this.ioErrorEl.textContent = '';
+    history.replaceState(null, '', this.link);
+    this.problems = StateValidator.validate(this.model, { suspect });
+    this._renderStatus();
+  }
+
+  _renderStatus() {
+    this.problemsEl.innerHTML = '';
+    this.controller.renderer.clearStickerHighlights();
+    this.net.clearStickerHighlights();
+
+    if (this.problems.length > 0) {
+      this.statusEl.className = 'cube-editor__status cube-editor__status--invalid';
+      this.statusEl.textContent = `Not a legal cube (${this.problems.length} problem${this.problems.length === 1 ? '' : 's'})`;
+      for (const problem of this.problems) {
+        const item = document.createElement('li');
+        item.className = 'cube-editor__problem';
+        item.textContent = problem.message;
+        item.addEventListener('mouseenter', () => this._highlight(problem.stickers));
+        item.addEventListener('mouseleave', () => this._highlight(this.problems[0].stickers));
+        this.problemsEl.appendChild(item);
+      }
+      // Point at the first problem's pieces
+      this._highlight(this.problems[0].stickers);
+      return;
+    }
+
+    this.statusEl.className = 'cube-editor__status cube-editor__status--valid';
+    this.statusEl.textContent = this.model.isSolved() ? 'Solved' : 'Legal cube state';
+    const result = CaseRecognizer.recognize(this.model, this.cases);
+    if (result) {
+      const link = document.createElement('a');
+      link.className = 'page-header__link';
+      link.href = CaseRecognizer.link(result);
+      link.textContent = result.name;
+      const turns = [result.rotation, result.preAUF].filter(Boolean).join(' ');
+      this.statusEl.append(` · ${result.step.toUpperCase()} case: `, link, turns ? ` (after ${turns})` : '');
+    }
+  }
+
+  _highlight(stickers) {
+    if (stickers.length === 0) {
+      this.controller.renderer.clearStickerHighlights();
+      this.net.clearStickerHighlights();
+      return;
+    }
+    this.controller.renderer.highlightStickers(stickers);
+    this.net.highlightStickers(stickers);
+  }
+
+  dispose() {
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+    if (this.net) {
+      this.net.dispose();
+      this.net = null;
+    }
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Unfolded 2D net of the cube (SVG), drawn from CubeModel.faces.
+ * Cross layout with U on top of F and D below it:
+ *       U
+ *     L F R B
+ *       D
+ * Shows the B and D faces that the 3D view usually hides.
+ */
+
+import { STICKER_COLORS } from './PatternDiagram.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CELL_SIZE = 10;
+const GAP = 1;
+const FACE_SIZE = CELL_SIZE * 3 + GAP * 4;
+
+// Face positions in the net, in face-sized units
+const FACE_LAYOUT = {
+  U: [1, 0],
+  L: [0, 1],
+  F: [1, 1],
+  R: [2, 1],
+  B: [3, 1],
+  D: [1, 2],
+};
+
+// The model indexes U from its front edge and D from its back edge, so
+// both are flipped to read towards F in the net
+const FLIPPED_FACES = ['U', 'D'];
+
+export class CubeNet {
+  constructor(container) {
+    this.container = container;
+    this.stickers = {}; // "F:4" -> rect
+    this.onStickerClick = null; // Callback: (faceName, index) => {}
+    this._build();
+  }
+
+  _build() {
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.setAttribute('viewBox', `0 0 ${FACE_SIZE * 4 + GAP * 3} ${FACE_SIZE * 3 + GAP * 2}`);
+    this.svg.classList.add('cube-net');
+
+    for (const [face, [fx, fy]] of Object.entries(FACE_LAYOUT)) {
+      const ox = fx * (FACE_SIZE + GAP);
+      const oy = fy * (FACE_SIZE + GAP);
+
+      const bg = document.createElementNS(SVG_NS, 'rect');
+      bg.setAttribute('x', ox);
+      bg.setAttribute('y', oy);
+      bg.setAttribute('width', FACE_SIZE);
+      bg.setAttribute('height', FACE_SIZE);
+      bg.setAttribute('rx', '2');
+      bg.setAttribute('fill', '#1a1a1a');
+      this.svg.appendChild(bg);
+
+      for (let index = 0; index < 9; index++) {
+        const row = Math.floor(index / 3);
+        const col = index % 3;
+        const drawnRow = FLIPPED_FACES.includes(face) ? 2 - row : row;
+
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('x', ox + GAP + col * (CELL_SIZE + GAP));
+        rect.setAttribute('y', oy + GAP + drawnRow * (CELL_SIZE + GAP));
+        rect.setAttribute('width', CELL_SIZE);
+        rect.setAttribute('height', CELL_SIZE);
+        rect.setAttribute('rx', '1');
+        rect.classList.add('cube-net__sticker');
+        rect.addEventListener('click', () => {
+          if (this.onStickerClick) this.onStickerClick(face, index);
+        });
+        this.svg.appendChild(rect);
+        this.stickers[`${face}:${index}`] = rect;
+      }
+    }
+
+    this.container.appendChild(this.svg);
+  }
+
+  /**
+   * Recolor every sticker from the model.
+   */
+  update(model) {
+    for (const face of Object.keys(FACE_LAYOUT)) {
+      model.faces[face].forEach((color, index) => {
+        this.stickers[`${face}:${index}`].setAttribute('fill', STICKER_COLORS[color] || color);
+      });
+    }
+  }
+
+  /**
+   * Highlight stickers given as [face, index] pairs (same format as
+   * CubeRenderer.highlightStickers).
+   */
+  highlightStickers(stickers) {
+    this.clearStickerHighlights();
+    for (const [face, index] of stickers) {
+      const rect = this.stickers[`${face}:${index}`];
+      if (rect) rect.classList.add('cube-net__sticker--highlight');
+    }
+  }
+
+  clearStickerHighlights() {
+    for (const rect of Object.values(this.stickers)) {
+      rect.classList.remove('cube-net__sticker--highlight');
+    }
+  }
+
+  dispose() {
+    this.svg.remove();
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Recognition drill results per case, via localStorage: attempts,
+ * correct answers and total recognition time of the correct ones.
+ * Also picks the next case, weighted towards the weakest.
+ */
+
+const STORAGE_KEY = 'learn-cfop-drill';
+
+// Weight of a case never drilled, so new cases come up early
+const UNSEEN_WEIGHT = 3;
+
+export class DrillStats {
+  static _getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  static _saveAll(data) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  /**
+   * @returns {{ attempts: number, correct: number, time: number }|null}
+   *   time is the summed ms of the correct answers
+   */
+  static get(id) {
+    return this._getAll()[id] || null;
+  }
+
+  static record(id, correct, ms) {
+    const data = this._getAll();
+    const entry = data[id] || { attempts: 0, correct: 0, time: 0 };
+    entry.attempts += 1;
+    if (correct) {
+      entry.correct += 1;
+      entry.time += Math.round(ms);
+    }
+    data[id] = entry;
+    this._saveAll(data);
+  }
+
+  /**
+   * Accuracy (0-1) and mean recognition time in ms of the correct
+   * answers (null if none yet).
+   */
+  static summary(id) {
+    const entry = this.get(id);
+    if (!entry) return { attempts: 0, accuracy: null, mean: null };
+    return {
+      attempts: entry.attempts,
+      accuracy: entry.correct / entry.attempts,
+      mean: entry.correct > 0 ? entry.time / entry.correct : null,
+    };
+  }
+
+  /**
+   * How often a case should come up: more for misses and slow answers.
+   */
+  static weight(id) {
+    const { attempts, accuracy, mean } = this.summary(id);
+    if (attempts === 0) return UNSEEN_WEIGHT;
+    const seconds = mean === null ? 10 : Math.min(mean / 1000, 10);
+    return 1 + 4 * (1 - accuracy) + seconds / 2;
+  }
+
+  /**
+   * Weighted random pick from the IDs, avoiding `previous` when possible.
+   * @param {string[]} ids
+   * @param {string|null} previous
+   * @param {() => number} [random]
+   */
+  static pick(ids, previous, random = Math.random) {
+    const pool = ids.length > 1 ? ids.filter(id => id !== previous) : ids;
+    const weights = pool.map(id => this.weight(id));
+    let r = random() * weights.reduce((sum, w) => sum + w, 0);
+    for (let i = 0; i < pool.length; i++) {
+      r -= weights[i];
+      if (r < 0) return pool[i];
+    }
+    return pool[pool.length - 1];
+  }
+
+  static clear(ids) {
+    const data = this._getAll();
+    for (const id of ids) delete data[id];
+    this._saveAll(data);
+  }
+}
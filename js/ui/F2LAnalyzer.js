@@ -0,0 +1,166 @@
+/**
+ * F2L slot analyzer: takes the moves of a solve so far (scramble, cross,
+ * any pairs already in), names the F2L case in each of the four slots
+ * and lists the shortest insertions, which play on the cube.
+ */
+
+import { CrossSolver } from '../cube/CrossSolver.js';
+import { CubeController } from '../cube/CubeController.js';
+import { CubeModel } from '../cube/CubeModel.js';
+import { F2LSolver } from '../cube/F2LSolver.js';
+import { MoveParser } from '../cube/MoveParser.js';
+import { Scrambler } from '../cube/Scrambler.js';
+import { PlayerControls } from './PlayerControls.js';
+
+const SHOWN_SOLUTIONS = 3;
+
+export class F2LAnalyzer {
+  constructor(container) {
+    this.container = container;
+    this.controller = null;
+    this.moves = '';
+    this._build();
+    this.random();
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'f2l-analyzer';
+
+    this.input = document.createElement('textarea');
+    this.input.className = 'f2l-analyzer__input';
+    this.input.rows = 3;
+    this.input.spellcheck = false;
+    this.input.placeholder = 'Scramble, then your cross and any pairs (cross on the bottom)';
+    this.input.setAttribute('aria-label', 'Moves so far');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'f2l-analyzer__toolbar';
+
+    const analyzeBtn = document.createElement('button');
+    analyzeBtn.className = 'btn btn--primary';
+    analyzeBtn.textContent = 'Analyze';
+    analyzeBtn.addEventListener('click', () => this.analyze());
+
+    const randomBtn = document.createElement('button');
+    randomBtn.className = 'tier-toggle__btn';
+    randomBtn.textContent = 'Random cross-solved state';
+    randomBtn.addEventListener('click', () => this.random());
+
+    toolbar.appendChild(analyzeBtn);
+    toolbar.appendChild(randomBtn);
+
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'f2l-analyzer__status';
+
+    const viewerEl = document.createElement('div');
+    viewerEl.className = 'cube-viewer';
+    const controlsWrap = document.createElement('div');
+
+    this.slotsEl = document.createElement('ul');
+    this.slotsEl.className = 'f2l-analyzer__slots';
+
+    this.el.appendChild(this.input);
+    this.el.appendChild(toolbar);
+    this.el.appendChild(this.statusEl);
+    this.el.appendChild(viewerEl);
+    this.el.appendChild(controlsWrap);
+    this.el.appendChild(this.slotsEl);
+    this.container.appendChild(this.el);
+
+    this.controller = new CubeController(viewerEl);
+    new PlayerControls(controlsWrap, this.controller);
+  }
+
+  /**
+   * Random scramble with an optimal white cross after it, held white
+   * down (the scramble is with white on top).
+   */
+  random() {
+    const scramble = Scrambler.randomMoves();
+    const model = new CubeModel();
+    model.applyMoves(MoveParser.parse(scramble), false);
+    const [cross] = CrossSolver.solve(model, { color: 'white' });
+    const held = `z2 ${MoveParser.toString(MoveParser.rotate(cross, 'z2'))}`.trim();
+    this.input.value = `${scramble}\n${held} // cross`;
+    this.analyze();
+  }
+
+  analyze() {
+    const errors = MoveParser.check(this.input.value);
+    this.slotsEl.innerHTML = '';
+    if (errors.length > 0) {
+      const [{ token, line, column }] = errors;
+      this.statusEl.textContent = `Can't read "${token}" (line ${line}, column ${column})`;
+      return;
+    }
+    const moves = MoveParser.parse(this.input.value);
+    this.moves = MoveParser.toString(moves);
+    Scrambler.show(this.controller, this.moves);
+
+    const model = new CubeModel();
+    model.applyMoves(moves, false);
+    if (!model.isCrossSolved()) {
+      this.statusEl.textContent = 'Solve the cross first, with it on the bottom.';
+      return;
+    }
+    if (model.isF2LSolved()) {
+      this.statusEl.textContent = 'F2L is solved.';
+      return;
+    }
+
+    this.statusEl.textContent = '';
+    for (const result of F2LSolver.analyze(model)) {
+      this.slotsEl.appendChild(this._slotRow(result));
+    }
+  }
+
+  _slotRow(result) {
+    const row = document.createElement('li');
+    row.className = 'f2l-analyzer__slot';
+    if (result.solved) row.classList.add('f2l-analyzer__slot--solved');
+
+    const name = document.createElement('span');
+    name.className = 'f2l-analyzer__slot-name';
+    name.textContent = result.slot;
+
+    const info = document.createElement('div');
+    info.className = 'f2l-analyzer__case';
+    info.textContent = result.number
+      ? `Case ${result.number}${result.auf ? ` (after ${result.auf})` : ''}: ${result.description}`
+      : result.description;
+
+    row.appendChild(name);
+    row.appendChild(info);
+    if (result.solved) return row;
+
+    const solutions = document.createElement('div');
+    solutions.className = 'f2l-analyzer__solutions';
+    if (result.solutions.length === 0) {
+      solutions.textContent = 'No insertion within 12 moves';
+    }
+    for (const solution of result.solutions.slice(0, SHOWN_SOLUTIONS)) {
+      const btn = document.createElement('button');
+      btn.className = 'f2l-analyzer__solution';
+      btn.textContent = solution;
+      btn.title = `${result.length} moves`;
+      btn.addEventListener('click', () => {
+        this.slotsEl.querySelectorAll('.f2l-analyzer__solution--active')
+          .forEach(el => el.classList.remove('f2l-analyzer__solution--active'));
+        btn.classList.add('f2l-analyzer__solution--active');
+        this.controller.loadAlgorithm(solution, this.moves);
+        this.controller.play();
+      });
+      solutions.appendChild(btn);
+    }
+    row.appendChild(solutions);
+    return row;
+  }
+
+  dispose() {
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+}
@@ -1,13 +1,46 @@
 /**
  * Creates SVG pattern diagrams for OLL/PLL recognition.
- * 3x3 grid where filled squares = yellow (oriented), empty = not oriented.
+ * - create(): 3x3 grid where filled squares = yellow (oriented), empty = not oriented.
+ * - fromState(): full last-layer diagram read off a CubeModel, with the
+ *   12 side stickers and (for PLL) permutation arrows.
  */
 
+import { CubeModel } from '../cube/CubeModel.js';
+import { MoveParser } from '../cube/MoveParser.js';
+
 const SVG_NS = 'http://www.w3.org/2000/svg';
 const CELL_SIZE = 12;
 const GAP = 1;
 const GRID_SIZE = CELL_SIZE * 3 + GAP * 4;
 
+// Last-layer diagram: side stickers are thin strips around the top grid
+const SIDE_SIZE = 4;
+const LL_SIZE = GRID_SIZE + (SIDE_SIZE + GAP) * 2;
+
+// Matches the --cube-* colors in variables.css; CubeNet uses them too
+export const STICKER_COLORS = {
+  white: '#ffffff',
+  yellow: '#ffd500',
+  green: '#009b48',
+  blue: '#0045ad',
+  red: '#b90000',
+  orange: '#ff5900',
+};
+
+// Top-row stickers of each side face, left to right as drawn with the
+// back edge at the top of the diagram (the model's U row 0 is its front)
+const SIDE_STICKERS = {
+  B: [2, 1, 0],
+  R: [2, 1, 0],
+  F: [0, 1, 2],
+  L: [0, 1, 2],
+};
+
+// Last-layer pieces, as their sticker lists
+const LL_PIECES = [...CubeModel.CORNER_CUBIES, ...CubeModel.EDGE_CUBIES]
+  .map(cubie => cubie.faces)
+  .filter(faces => faces.some(([face]) => face === 'U'));
+
 export class PatternDiagram {
   /**
    * Create an SVG element showing the top-face recognition pattern.
@@ -55,4 +88,155 @@ export class PatternDiagram {
 
     return svg;
   }
+
+  /**
+   * Create an SVG last-layer diagram from a cube state: the top face in
+   * its real colors, back edge at the top, with the adjacent side stickers.
+   * @param {CubeModel} model
+   * @param {object} [options]
+   * @param {number} [options.size=40] - Rendered width/height in px
+   * @param {boolean} [options.arrows] - Draw PLL permutation arrows
+   *   (default: when the last layer is oriented but not permuted)
+   * @returns {SVGElement}
+   */
+  static fromState(model, { size = 40, arrows = model.getStage() === 'pll' } = {}) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${LL_SIZE} ${LL_SIZE}`);
+    svg.setAttribute('width', size);
+    svg.setAttribute('height', size);
+    svg.classList.add('pattern-svg', 'pattern-svg--last-layer');
+
+    const rect = (x, y, w, h, color) => {
+      const el = document.createElementNS(SVG_NS, 'rect');
+      el.setAttribute('x', x);
+      el.setAttribute('y', y);
+      el.setAttribute('width', w);
+      el.setAttribute('height', h);
+      el.setAttribute('rx', '1');
+      el.setAttribute('fill', STICKER_COLORS[color] || color);
+      svg.appendChild(el);
+    };
+
+    // Background behind the top grid
+    const origin = SIDE_SIZE + GAP;
+    const bg = document.createElementNS(SVG_NS, 'rect');
+    bg.setAttribute('x', origin);
+    bg.setAttribute('y', origin);
+    bg.setAttribute('width', GRID_SIZE);
+    bg.setAttribute('height', GRID_SIZE);
+    bg.setAttribute('rx', '2');
+    bg.setAttribute('fill', '#2d3250');
+    svg.appendChild(bg);
+
+    // Top face
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 3; col++) {
+        const { x, y } = this._cellOrigin(row, col);
+        rect(x, y, CELL_SIZE, CELL_SIZE, model.faces.U[(2 - row) * 3 + col]);
+      }
+    }
+
+    // Side stickers
+    const far = origin + GRID_SIZE + GAP;
+    for (let i = 0; i < 3; i++) {
+      const along = origin + GAP + i * (CELL_SIZE + GAP);
+      rect(along, 0, CELL_SIZE, SIDE_SIZE, model.faces.B[SIDE_STICKERS.B[i]]);
+      rect(along, far, CELL_SIZE, SIDE_SIZE, model.faces.F[SIDE_STICKERS.F[i]]);
+      rect(0, along, SIDE_SIZE, CELL_SIZE, model.faces.L[SIDE_STICKERS.L[i]]);
+      rect(far, along, SIDE_SIZE, CELL_SIZE, model.faces.R[SIDE_STICKERS.R[i]]);
+    }
+
+    if (arrows) {
+      for (const [from, to, both] of this._permutationArrows(model)) {
+        this._drawArrow(svg, from, to, both);
+      }
+    }
+
+    return svg;
+  }
+
+  static _cellOrigin(row, col) {
+    const origin = SIDE_SIZE + GAP * 2;
+    return { x: origin + col * (CELL_SIZE + GAP), y: origin + row * (CELL_SIZE + GAP) };
+  }
+
+  /**
+   * Diagram cell of a last-layer piece (from its U sticker).
+   */
+  static _pieceCell(faces) {
+    const [, index] = faces.find(([face]) => face === 'U');
+    return { row: 2 - Math.floor(index / 3), col: index % 3 };
+  }
+
+  /**
+   * Work out where each last-layer piece has to go. Pieces are matched by
+   * their colors against the solved cube, turned by whichever AUF leaves
+   * the fewest pieces to move. Returns [fromCell, toCell, twoWay] triples;
+   * swaps are merged into one two-way arrow.
+   */
+  static _permutationArrows(model) {
+    const colorKey = (state, faces) =>
+      faces.map(([face, index]) => state.faces[face][index]).sort().join();
+
+    let best = null;
+    for (const auf of ['', 'U', 'U2', "U'"]) {
+      const target = new CubeModel();
+      target.applyMoves(MoveParser.parse(auf), false);
+      const homes = new Map(LL_PIECES.map(faces => [colorKey(target, faces), faces]));
+      const moves = [];
+      for (const faces of LL_PIECES) {
+        const home = homes.get(colorKey(model, faces));
+        if (home && home !== faces) moves.push([faces, home]);
+      }
+      if (!best || moves.length < best.length) best = moves;
+    }
+
+    const arrows = [];
+    for (const [from, to] of best) {
+      const back = best.some(([f, t]) => f === to && t === from);
+      if (back && LL_PIECES.indexOf(from) > LL_PIECES.indexOf(to)) continue;
+      arrows.push([this._pieceCell(from), this._pieceCell(to), back]);
+    }
+    return arrows;
+  }
+
+  static _drawArrow(svg, from, to, twoWay) {
+    const center = ({ row, col }) => {
+      const { x, y } = this._cellOrigin(row, col);
+      return { x: x + CELL_SIZE / 2, y: y + CELL_SIZE / 2 };
+    };
+    const a = center(from);
+    const b = center(to);
+    const len = Math.hypot(b.x - a.x, b.y - a.y);
+    const ux = (b.x - a.x) / len;
+    const uy = (b.y - a.y) / len;
+    const inset = 2.5;
+    const head = 3;
+
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', a.x + ux * inset);
+    line.setAttribute('y1', a.y + uy * inset);
+    line.setAttribute('x2', b.x - ux * inset);
+    line.setAttribute('y2', b.y - uy * inset);
+    line.setAttribute('stroke', '#1a1d27');
+    line.setAttribute('stroke-width', '1');
+    line.setAttribute('stroke-linecap', 'round');
+    svg.appendChild(line);
+
+    const arrowHead = (tip, dx, dy) => {
+      const baseX = tip.x - dx * head;
+      const baseY = tip.y - dy * head;
+      const points = [
+        [tip.x, tip.y],
+        [baseX - dy * head / 2, baseY + dx * head / 2],
+        [baseX + dy * head / 2, baseY - dx * head / 2],
+      ];
+      const poly = document.createElementNS(SVG_NS, 'polygon');
+      poly.setAttribute('points', points.map(p => p.join(',')).join(' '));
+      poly.setAttribute('fill', '#1a1d27');
+      svg.appendChild(poly);
+    };
+    arrowHead({ x: b.x - ux * inset, y: b.y - uy * inset }, ux, uy);
+    if (twoWay) arrowHead({ x: a.x + ux * inset, y: a.y + uy * inset }, -ux, -uy);
+  }
 }
@@ -1,5 +1,6 @@
 /**
- * Player controls component: play/pause, step forward/backward, reset, speed slider.
+ * Player controls component: play/pause, step forward/backward, reset,
+ * turning by hand, speed slider.
  */
 
 export class PlayerControls {
@@ -23,6 +24,8 @@ export class PlayerControls {
     this.prevBtn = this._btn('◀', 'player-btn', 'Step back');
     this.playBtn = this._btn('▶', 'player-btn player-btn--play', 'Play');
     this.nextBtn = this._btn('▶', 'player-btn', 'Step forward');
+    this.handBtn = this._btn('✋', 'player-btn', 'Turn layers by dragging stickers');
+    this.handBtn.setAttribute('aria-pressed', 'false');
 
     // Speed control
     const speedWrap = document.createElement('div');
@@ -46,6 +49,7 @@ export class PlayerControls {
     this.el.appendChild(this.prevBtn);
     this.el.appendChild(this.playBtn);
     this.el.appendChild(this.nextBtn);
+    this.el.appendChild(this.handBtn);
     this.el.appendChild(speedWrap);
 
     this.container.appendChild(this.el);
@@ -65,6 +69,12 @@ export class PlayerControls {
     this.nextBtn.addEventListener('click', () => this.controller.stepForward());
     this.prevBtn.addEventListener('click', () => this.controller.stepBackward());
     this.resetBtn.addEventListener('click', () => this.controller.reset());
+    this.handBtn.addEventListener('click', () => {
+      const enabled = !this.controller.handTurning;
+      this.controller.setHandTurning(enabled);
+      this.handBtn.classList.toggle('player-btn--active', enabled);
+      this.handBtn.setAttribute('aria-pressed', String(enabled));
+    });
 
     this.speedSlider.addEventListener('input', () => {
       const speed = parseFloat(this.speedSlider.value);
@@ -72,11 +82,16 @@ export class PlayerControls {
       this.speedLabel.textContent = speed + 'x';
     });
 
+    // Chain onto callbacks the owner may already have set
+    const prevStepChange = this.controller.onStepChange;
     this.controller.onStepChange = (current, total) => {
+      if (prevStepChange) prevStepChange(current, total);
       this.stepCounter.textContent = `${current}/${total}`;
     };
 
+    const prevPlayStateChange = this.controller.onPlayStateChange;
     this.controller.onPlayStateChange = (isPlaying) => {
+      if (prevPlayStateChange) prevPlayStateChange(isPlaying);
       this.playBtn.textContent = isPlaying ? '⏸' : '▶';
       this.playBtn.title = isPlaying ? 'Pause' : 'Play';
     };
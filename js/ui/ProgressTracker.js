@@ -1,35 +1,132 @@
 /**
- * Tracks user progress via localStorage.
- * Stores which algorithm IDs have been marked as "learned."
+ * Tracks user progress via localStorage, as an SM-2 spaced-repetition
+ * schedule per algorithm ID: review history, ease factor, interval and
+ * due date. An algorithm counts as "learned" once it is marked or
+ * reviewed successfully, and stays learned through failed reviews until
+ * it is unmarked. As in SM-2, a failed review only restarts the
+ * intervals; the ease factor changes on successful reviews.
+ *
+ * Older versions stored { id: true }; those entries are migrated to
+ * learned records that are due for review now.
  */
 
 const STORAGE_KEY = 'learn-cfop-progress';
 
+const DAY = 24 * 60 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Review buttons, as SM-2 grades (0-5; below 3 is a lapse)
+export const GRADES = [
+  { grade: 1, label: 'Again' },
+  { grade: 3, label: 'Hard' },
+  { grade: 4, label: 'Good' },
+  { grade: 5, label: 'Easy' },
+];
+
+// Grade recorded when an algorithm is simply ticked as learned
+const MARK_GRADE = 4;
+
 export class ProgressTracker {
   static _getAll() {
+    let data;
     try {
-      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+      data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
     } catch {
       return {};
     }
+    // Migrate boolean flags from the old format, once
+    const old = Object.keys(data).filter(id => data[id] === true);
+    if (old.length > 0) {
+      for (const id of old) data[id] = this._migrated();
+      this._saveAll(data);
+    }
+    return data;
   }
 
   static _saveAll(data) {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
   }
 
+  static _migrated() {
+    return { learned: true, reps: 1, ease: START_EASE, interval: 1, due: Date.now(), history: [] };
+  }
+
+  /**
+   * Review record for an ID: { learned, reps, ease, interval (days),
+   * due (ms timestamp), history: [{ date, grade }] }, or null.
+   */
+  static getRecord(id) {
+    return this._getAll()[id] || null;
+  }
+
   static isCompleted(id) {
-    return !!this._getAll()[id];
+    const record = this._getAll()[id];
+    return Boolean(record && record.learned);
   }
 
+  /**
+   * Mark as learned (recorded as a "Good" first review) or unmark.
+   * Unmarking resets the schedule but keeps the review history.
+   */
   static setCompleted(id, done) {
-    const data = this._getAll();
     if (done) {
-      data[id] = true;
+      if (!this.isCompleted(id)) this.review(id, MARK_GRADE);
+      return;
+    }
+    const data = this._getAll();
+    if (!data[id]) return;
+    data[id] = { ...data[id], learned: false, reps: 0, interval: 0, due: null };
+    this._saveAll(data);
+  }
+
+  /**
+   * Record a review with an SM-2 grade (0-5) and schedule the next one.
+   * @returns {Object} the updated record
+   */
+  static review(id, grade, now = Date.now()) {
+    const data = this._getAll();
+    const record = data[id] || { learned: false, reps: 0, ease: START_EASE, interval: 0, due: null, history: [] };
+
+    let { reps, interval, ease } = record;
+    if (grade >= 3) {
+      interval = reps === 0 ? 1 : reps === 1 ? 6 : Math.round(interval * ease);
+      reps += 1;
+      ease = Math.max(MIN_EASE, ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
     } else {
-      delete data[id];
+      // A lapse starts the repetitions over; the ease factor stays
+      reps = 0;
+      interval = 1;
     }
+
+    data[id] = {
+      learned: record.learned || grade >= 3,
+      reps,
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      due: now + interval * DAY,
+      history: [...record.history, { date: now, grade }],
+    };
     this._saveAll(data);
+    return data[id];
+  }
+
+  /**
+   * Learned and due for review at `now`.
+   */
+  static isDue(id, now = Date.now()) {
+    const record = this._getAll()[id];
+    return Boolean(record && record.learned && record.due <= now);
+  }
+
+  /**
+   * The given IDs that are due for review, most overdue first.
+   */
+  static getDue(ids, now = Date.now()) {
+    const data = this._getAll();
+    return ids
+      .filter(id => data[id] && data[id].learned && data[id].due <= now)
+      .sort((a, b) => data[a].due - data[b].due);
   }
 
   /**
@@ -37,7 +134,7 @@ export class ProgressTracker {
    */
   static countCompleted(ids) {
     const data = this._getAll();
-    return ids.filter(id => data[id]).length;
+    return ids.filter(id => data[id] && data[id].learned).length;
   }
 
   /**
@@ -0,0 +1,314 @@
+/**
+ * OLL/PLL recognition drill: shows a random case from the chosen set (as
+ * a last-layer diagram or on the 3D cube) with a random AUF and,
+ * optionally, a random color scheme orientation. The answer is timed and
+ * recorded per case in DrillStats, and the weakest cases come up more
+ * often. Answers are checked with CaseRecognizer, so symmetric views of
+ * a case all count.
+ */
+
+import { CaseBuilder } from '../cube/CaseBuilder.js';
+import { CaseRecognizer } from '../cube/CaseRecognizer.js';
+import { CubeController } from '../cube/CubeController.js';
+import { CubeModel } from '../cube/CubeModel.js';
+import { MoveParser } from '../cube/MoveParser.js';
+import { DrillStats } from './DrillStats.js';
+import { PatternDiagram } from './PatternDiagram.js';
+
+const AUFS = ['', 'U', "U'", 'U2'];
+
+// Color neutrality: any center on top, then any of the four sides in front
+const TOPS = ['', 'x', "x'", 'x2', 'z', "z'"];
+const FRONTS = ['', 'y', "y'", 'y2'];
+
+// Answer hotkeys, in answer order
+const KEYS = '1234567890abcdefghijklmnopqrstuvwxyz';
+
+const WEAKEST_SHOWN = 8;
+
+export class RecognitionDrill {
+  /**
+   * @param {HTMLElement} container
+   * @param {{ oll: Object[], pll: Object[] }} cases - prepared data entries
+   * @param {object} [options]
+   * @param {string} [options.set='oll'] - 'oll' or 'pll'
+   */
+  constructor(container, cases, { set = 'oll' } = {}) {
+    this.container = container;
+    this.cases = cases;
+    this.controller = null;
+    this.current = null; // { entry, setup, start, answered }
+    this.session = { answered: 0, correct: 0, time: 0 };
+    this._onKeyDown = e => this._handleKey(e);
+    this._build(set);
+    document.addEventListener('keydown', this._onKeyDown);
+    this._renderAnswers();
+    this.next();
+  }
+
+  _build(set) {
+    this.el = document.createElement('div');
+    this.el.className = 'drill';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'drill__toolbar';
+    this.setSelect = this._select('Set', [['oll', 'OLL'], ['pll', 'PLL']], set);
+    this.tierSelect = this._select('Cases', [['beginner', '2-look'], ['full', 'Full set']], 'full');
+    this.viewSelect = this._select('Show', [['diagram', 'Diagram'], ['cube', '3D cube']], 'diagram');
+    [this.setSelect, this.tierSelect].forEach(select => select.addEventListener('change', () => {
+      this._renderAnswers();
+      this.next();
+    }));
+    this.viewSelect.addEventListener('change', () => this._renderCase());
+
+    const neutral = document.createElement('label');
+    neutral.className = 'drill__option';
+    this.neutralInput = document.createElement('input');
+    this.neutralInput.type = 'checkbox';
+    this.neutralInput.addEventListener('change', () => this.next());
+    neutral.appendChild(this.neutralInput);
+    neutral.appendChild(document.createTextNode(' Color neutral'));
+
+    [this.setSelect, this.tierSelect, this.viewSelect].forEach(select => toolbar.appendChild(select.parentNode));
+    toolbar.appendChild(neutral);
+
+    const stage = document.createElement('div');
+    stage.className = 'drill__stage';
+    this.diagramEl = document.createElement('div');
+    this.diagramEl.className = 'drill__diagram';
+    this.viewerEl = document.createElement('div');
+    this.viewerEl.className = 'cube-viewer';
+    stage.appendChild(this.diagramEl);
+    stage.appendChild(this.viewerEl);
+
+    this.feedbackEl = document.createElement('div');
+    this.feedbackEl.className = 'drill__feedback';
+    this.feedbackEl.setAttribute('aria-live', 'polite');
+
+    this.answersEl = document.createElement('div');
+    this.answersEl.className = 'drill__answers';
+
+    const actions = document.createElement('div');
+    actions.className = 'drill__actions';
+    this.nextBtn = document.createElement('button');
+    this.nextBtn.className = 'btn btn--primary';
+    this.nextBtn.textContent = 'Next case (Space)';
+    this.nextBtn.addEventListener('click', () => this.next());
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'tier-toggle__btn';
+    resetBtn.textContent = 'Reset stats for this set';
+    resetBtn.addEventListener('click', () => {
+      DrillStats.clear(this.entries.map(e => e.id));
+      this._renderStats();
+    });
+    actions.appendChild(this.nextBtn);
+    actions.appendChild(resetBtn);
+
+    this.summaryEl = document.createElement('div');
+    this.summaryEl.className = 'drill__summary';
+
+    this.statsEl = document.createElement('table');
+    this.statsEl.className = 'drill__stats';
+
+    this.el.appendChild(toolbar);
+    this.el.appendChild(stage);
+    this.el.appendChild(this.feedbackEl);
+    this.el.appendChild(this.answersEl);
+    this.el.appendChild(actions);
+    this.el.appendChild(this.summaryEl);
+    this.el.appendChild(this.statsEl);
+    this.container.appendChild(this.el);
+
+    this.controller = new CubeController(this.viewerEl);
+  }
+
+  _select(text, options, value) {
+    const label = document.createElement('label');
+    label.className = 'drill__option';
+    label.textContent = `${text} `;
+    const select = document.createElement('select');
+    select.className = 'session__select';
+    for (const [optionValue, optionText] of options) {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionText;
+      select.appendChild(option);
+    }
+    select.value = value;
+    label.appendChild(select);
+    return select;
+  }
+
+  get set() {
+    return this.setSelect.value;
+  }
+
+  /**
+   * Entries of the selected set and tier.
+   */
+  get entries() {
+    const tier = this.tierSelect.value;
+    return this.cases[this.set].filter(d => tier === 'full' || d.tier === 'beginner');
+  }
+
+  /**
+   * Show the next case, weighted towards the weakest, and start timing.
+   */
+  next() {
+    const { entries } = this;
+    const previous = this.current ? this.current.entry.id : null;
+    const id = DrillStats.pick(entries.map(e => e.id), previous);
+    const entry = entries.find(e => e.id === id);
+
+    const random = list => list[Math.floor(Math.random() * list.length)];
+    const scheme = this.neutralInput.checked ? `${random(TOPS)} ${random(FRONTS)}` : '';
+    const setup = `${scheme} ${CaseBuilder.setupMoves(entry)} ${random(AUFS)}`.trim();
+
+    this.current = { entry, setup, start: performance.now(), answered: false };
+    this.feedbackEl.textContent = 'Which case is this?';
+    this.feedbackEl.className = 'drill__feedback';
+    this.nextBtn.disabled = true;
+    this.answersEl.querySelectorAll('.drill__answer').forEach(btn => {
+      btn.classList.remove('drill__answer--correct', 'drill__answer--wrong');
+    });
+    this._renderCase();
+  }
+
+  _renderCase() {
+    const showCube = this.viewSelect.value === 'cube';
+    this.diagramEl.hidden = showCube;
+    this.viewerEl.hidden = !showCube;
+
+    const model = this._model();
+    this.diagramEl.innerHTML = '';
+    this.diagramEl.appendChild(PatternDiagram.fromState(model, { size: 200, arrows: false }));
+    this.controller.loadAlgorithm('', this.current.setup);
+  }
+
+  _model() {
+    const model = new CubeModel();
+    model.applyMoves(MoveParser.parse(this.current.setup), false);
+    return model;
+  }
+
+  _renderAnswers() {
+    this.answersEl.innerHTML = '';
+    this.answerBtns = this.entries.map((entry, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'drill__answer';
+      btn.dataset.id = entry.id;
+      if (i < KEYS.length) {
+        const key = document.createElement('kbd');
+        key.className = 'drill__key';
+        key.textContent = KEYS[i];
+        btn.appendChild(key);
+      }
+      btn.appendChild(document.createTextNode(entry.name));
+      btn.addEventListener('click', () => {
+        btn.blur(); // keep Space for "next"
+        this.answer(entry.id);
+      });
+      this.answersEl.appendChild(btn);
+      return btn;
+    });
+    this._renderStats();
+  }
+
+  /**
+   * Check an answer against the case actually shown, and record it.
+   */
+  answer(id) {
+    if (!this.current || this.current.answered) return;
+    const ms = performance.now() - this.current.start;
+    this.current.answered = true;
+
+    const shown = CaseRecognizer.recognize(this._model(), { [this.set]: this.entries });
+    const actualId = shown ? shown.id : this.current.entry.id;
+    const correct = id === actualId;
+    DrillStats.record(actualId, correct, ms);
+
+    this.session.answered += 1;
+    if (correct) {
+      this.session.correct += 1;
+      this.session.time += ms;
+    }
+
+    const actual = this.entries.find(e => e.id === actualId);
+    const seconds = (ms / 1000).toFixed(2);
+    this.feedbackEl.textContent = correct
+      ? `✓ ${actual.name} · ${seconds} s`
+      : `✗ It was ${actual.name} · ${seconds} s`;
+    this.feedbackEl.classList.add(correct ? 'drill__feedback--correct' : 'drill__feedback--wrong');
+    this.answerBtns.forEach((btn) => {
+      if (btn.dataset.id === actualId) btn.classList.add('drill__answer--correct');
+      else if (btn.dataset.id === id) btn.classList.add('drill__answer--wrong');
+    });
+    this.nextBtn.disabled = false;
+
+    // Show the solution from this view on the cube
+    if (shown) {
+      this.controller.loadAlgorithm(`${shown.preAUF} ${actual.algorithm}`, this.current.setup);
+    }
+    this._renderStats();
+  }
+
+  _handleKey(e) {
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (this.current && this.current.answered && (e.key === ' ' || e.key === 'Enter')) {
+      e.preventDefault();
+      this.next();
+      return;
+    }
+    const index = KEYS.indexOf(e.key.toLowerCase());
+    if (index !== -1 && index < this.answerBtns.length) {
+      e.preventDefault();
+      this.answer(this.answerBtns[index].dataset.id);
+    }
+  }
+
+  /**
+   * Session summary and the weakest cases of the set.
+   */
+  _renderStats() {
+    const { answered, correct, time } = this.session;
+    this.summaryEl.textContent = answered === 0 ? '' :
+      `This session: ${correct} / ${answered} correct` +
+      (correct > 0 ? ` · mean ${(time / correct / 1000).toFixed(2)} s` : '');
+
+    const rows = this.entries
+      .map(entry => ({ entry, ...DrillStats.summary(entry.id), weight: DrillStats.weight(entry.id) }))
+      .filter(row => row.attempts > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, WEAKEST_SHOWN);
+
+    this.statsEl.innerHTML = '';
+    this.statsEl.hidden = rows.length === 0;
+    if (rows.length === 0) return;
+
+    const caption = this.statsEl.createCaption();
+    caption.textContent = 'Weakest cases';
+    const head = this.statsEl.createTHead().insertRow();
+    for (const text of ['Case', 'Seen', 'Accuracy', 'Mean']) {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    }
+    const body = this.statsEl.createTBody();
+    for (const row of rows) {
+      const tr = body.insertRow();
+      tr.insertCell().textContent = row.entry.name;
+      tr.insertCell().textContent = row.attempts;
+      tr.insertCell().textContent = `${Math.round(row.accuracy * 100)}%`;
+      tr.insertCell().textContent = row.mean === null ? '—' : `${(row.mean / 1000).toFixed(2)} s`;
+    }
+  }
+
+  dispose() {
+    document.removeEventListener('keydown', this._onKeyDown);
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+  }
+}
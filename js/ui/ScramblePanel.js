@@ -0,0 +1,118 @@
+/**
+ * Scramble panel: shows a seeded WCA scramble with a 3D cube of the
+ * scrambled state, to check a physical cube against.
+ * Lazy-initializes the cube viewer on the first "Show cube".
+ */
+
+import { CubeController } from '../cube/CubeController.js';
+import { Scrambler } from '../cube/Scrambler.js';
+import { PlayerControls } from './PlayerControls.js';
+
+export class ScramblePanel {
+  /**
+   * @param {HTMLElement} container
+   * @param {object} [options]
+   * @param {(scramble: string, seed: string) => void} [options.onScramble] - Called for each new scramble
+   */
+  constructor(container, { onScramble = null } = {}) {
+    this.container = container;
+    this.onScramble = onScramble;
+    this.controller = null;
+    this.scramble = '';
+    this.seed = '';
+    this._build();
+    this.next();
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'scramble-panel';
+
+    this.textEl = document.createElement('div');
+    this.textEl.className = 'scramble-panel__text';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'scramble-panel__toolbar';
+
+    const seedLabel = document.createElement('label');
+    seedLabel.className = 'scramble-panel__seed';
+    seedLabel.textContent = 'Seed ';
+    this.seedInput = document.createElement('input');
+    this.seedInput.type = 'text';
+    this.seedInput.className = 'scramble-panel__seed-input';
+    this.seedInput.spellcheck = false;
+    this.seedInput.title = 'The same seed always gives the same scramble';
+    this.seedInput.addEventListener('change', () => {
+      this.load(this.seedInput.value.trim() || Scrambler.newSeed());
+    });
+    seedLabel.appendChild(this.seedInput);
+
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'btn btn--primary';
+    nextBtn.textContent = 'New scramble';
+    nextBtn.addEventListener('click', () => this.next());
+
+    this.viewBtn = document.createElement('button');
+    this.viewBtn.className = 'tier-toggle__btn';
+    this.viewBtn.textContent = 'Show cube';
+    this.viewBtn.addEventListener('click', () => this.toggleCube());
+
+    toolbar.appendChild(nextBtn);
+    toolbar.appendChild(this.viewBtn);
+    toolbar.appendChild(seedLabel);
+
+    this.viewEl = document.createElement('div');
+    this.viewEl.className = 'scramble-panel__view';
+    this.viewEl.hidden = true;
+
+    this.el.appendChild(this.textEl);
+    this.el.appendChild(toolbar);
+    this.el.appendChild(this.viewEl);
+    this.container.appendChild(this.el);
+  }
+
+  /**
+   * New scramble from a fresh seed.
+   */
+  next() {
+    this.load(Scrambler.newSeed());
+  }
+
+  /**
+   * Show the scramble for a given seed.
+   */
+  load(seed) {
+    this.seed = String(seed);
+    this.scramble = Scrambler.randomMoves({ seed: this.seed });
+    this.textEl.textContent = this.scramble;
+    this.seedInput.value = this.seed;
+    if (this.controller) Scrambler.show(this.controller, this.scramble);
+    if (this.onScramble) this.onScramble(this.scramble, this.seed);
+  }
+
+  toggleCube() {
+    const show = this.viewEl.hidden;
+    this.viewEl.hidden = !show;
+    this.viewBtn.classList.toggle('tier-toggle__btn--active', show);
+    this.viewBtn.textContent = show ? 'Hide cube' : 'Show cube';
+
+    if (show && !this.controller) {
+      const viewerEl = document.createElement('div');
+      viewerEl.className = 'cube-viewer';
+      this.viewEl.appendChild(viewerEl);
+      this.controller = new CubeController(viewerEl);
+      const controlsWrap = document.createElement('div');
+      this.viewEl.appendChild(controlsWrap);
+      new PlayerControls(controlsWrap, this.controller);
+      Scrambler.show(this.controller, this.scramble);
+    }
+  }
+
+  dispose() {
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+    this.el.remove();
+  }
+}
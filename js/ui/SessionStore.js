@@ -0,0 +1,192 @@
+/**
+ * Stores timer results via localStorage, grouped into named sessions.
+ * Each solve is { time, penalty, scramble, date }:
+ * time in ms as timed, penalty null | '+2' | 'DNF', date a timestamp.
+ */
+
+const STORAGE_KEY = 'learn-cfop-sessions';
+const DEFAULT_SESSION = 'Session 1';
+const CSV_COLUMNS = ['date', 'time', 'penalty', 'scramble'];
+const PENALTIES = [null, '+2', 'DNF'];
+
+export class SessionStore {
+  static _getAll() {
+    let data;
+    try {
+      data = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      data = {};
+    }
+    if (!data.sessions || Object.keys(data.sessions).length === 0) {
+      data.sessions = { [DEFAULT_SESSION]: [] };
+    }
+    if (!data.sessions[data.current]) {
+      data.current = Object.keys(data.sessions)[0];
+    }
+    if (data.inspection === undefined) data.inspection = true;
+    return data;
+  }
+
+  static _saveAll(data) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  }
+
+  static getSessionNames() {
+    return Object.keys(this._getAll().sessions);
+  }
+
+  static getCurrentSession() {
+    return this._getAll().current;
+  }
+
+  /**
+   * Switch to a session, creating it if needed.
+   */
+  static setCurrentSession(name) {
+    const data = this._getAll();
+    if (!data.sessions[name]) data.sessions[name] = [];
+    data.current = name;
+    this._saveAll(data);
+  }
+
+  /**
+   * Delete a session and its solves. Deleting the only session leaves
+   * an empty default one.
+   */
+  static deleteSession(name) {
+    const data = this._getAll();
+    delete data.sessions[name];
+    this._saveAll(data);
+  }
+
+  static getSolves(name = this.getCurrentSession()) {
+    return this._getAll().sessions[name] || [];
+  }
+
+  static addSolve(solve, name = this.getCurrentSession()) {
+    const data = this._getAll();
+    if (!data.sessions[name]) data.sessions[name] = [];
+    data.sessions[name].push(solve);
+    this._saveAll(data);
+  }
+
+  /**
+   * Change fields of the solve at `index` (e.g. { penalty: '+2' }).
+   */
+  static updateSolve(index, changes, name = this.getCurrentSession()) {
+    const data = this._getAll();
+    const solves = data.sessions[name];
+    if (!solves || !solves[index]) return;
+    solves[index] = { ...solves[index], ...changes };
+    this._saveAll(data);
+  }
+
+  static deleteSolve(index, name = this.getCurrentSession()) {
+    const data = this._getAll();
+    const solves = data.sessions[name];
+    if (!solves) return;
+    solves.splice(index, 1);
+    this._saveAll(data);
+  }
+
+  /**
+   * Solves of a session as CSV: date (ISO), time (seconds), penalty, scramble.
+   */
+  static exportCSV(name = this.getCurrentSession()) {
+    const rows = this.getSolves(name).map(solve => [
+      new Date(solve.date).toISOString(),
+      (solve.time / 1000).toFixed(3),
+      solve.penalty || '',
+      solve.scramble || '',
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Add solves from exportCSV() output to a session (default: current).
+   * Rows that don't parse are skipped.
+   * @returns {{ added: number, skipped: number }}
+   */
+  static importCSV(text, name = this.getCurrentSession()) {
+    const rows = parseCSV(text);
+    if (rows.length > 0 && rows[0][0] === CSV_COLUMNS[0]) rows.shift();
+
+    const solves = [];
+    let skipped = 0;
+    for (const [date, time, penalty = '', scramble = ''] of rows) {
+      const solve = {
+        time: Math.round(parseFloat(time) * 1000),
+        penalty: penalty || null,
+        scramble,
+        date: Date.parse(date),
+      };
+      if (!Number.isFinite(solve.time) || solve.time < 0 || Number.isNaN(solve.date) ||
+          !PENALTIES.includes(solve.penalty)) {
+        skipped++;
+        continue;
+      }
+      solves.push(solve);
+    }
+
+    const data = this._getAll();
+    if (!data.sessions[name]) data.sessions[name] = [];
+    data.sessions[name].push(...solves);
+    data.sessions[name].sort((a, b) => a.date - b.date);
+    this._saveAll(data);
+    return { added: solves.length, skipped };
+  }
+
+  static isInspectionEnabled() {
+    return this._getAll().inspection;
+  }
+
+  static setInspectionEnabled(enabled) {
+    const data = this._getAll();
+    data.inspection = enabled;
+    this._saveAll(data);
+  }
+}
+
+// Quote a CSV field when it contains a comma, quote or newline
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of fields; handles quoted fields with embedded commas, quotes
+// and newlines. Blank lines are dropped.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(f => f !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f !== '')) rows.push(row);
+  return rows;
+}
@@ -0,0 +1,144 @@
+/**
+ * Timer session panel: session picker, rolling averages (mo3, ao5,
+ * ao12, ao100) and the list of solves with penalty controls.
+ * Reads and writes through SessionStore; call render() after a solve.
+ */
+
+import { SessionStore } from './SessionStore.js';
+import { SolveStats } from './SolveStats.js';
+
+const AVERAGES = [
+  ['mo3', 3, 'mean'],
+  ['ao5', 5, 'average'],
+  ['ao12', 12, 'average'],
+  ['ao100', 100, 'average'],
+];
+
+export class SessionView {
+  constructor(container) {
+    this.container = container;
+    this._build();
+    this.render();
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'session';
+
+    // Session picker
+    const bar = document.createElement('div');
+    bar.className = 'session__bar';
+    this.select = document.createElement('select');
+    this.select.className = 'session__select';
+    this.select.setAttribute('aria-label', 'Session');
+    this.select.addEventListener('change', () => {
+      SessionStore.setCurrentSession(this.select.value);
+      this.render();
+      this.select.blur(); // keep Space for the timer
+    });
+
+    const newBtn = this._button('New', 'Start a new session', () => {
+      const name = prompt('Session name', `Session ${SessionStore.getSessionNames().length + 1}`);
+      if (!name || !name.trim()) return;
+      SessionStore.setCurrentSession(name.trim());
+      this.render();
+    });
+    const deleteBtn = this._button('Delete', 'Delete this session and its solves', () => {
+      const name = SessionStore.getCurrentSession();
+      if (!confirm(`Delete "${name}" and all its solves?`)) return;
+      SessionStore.deleteSession(name);
+      this.render();
+    });
+    bar.appendChild(this.select);
+    bar.appendChild(newBtn);
+    bar.appendChild(deleteBtn);
+
+    // Averages
+    this.statsEl = document.createElement('dl');
+    this.statsEl.className = 'session__stats';
+
+    // Solves, newest first
+    this.listEl = document.createElement('ol');
+    this.listEl.className = 'session__solves';
+
+    this.el.appendChild(bar);
+    this.el.appendChild(this.statsEl);
+    this.el.appendChild(this.listEl);
+    this.container.appendChild(this.el);
+  }
+
+  _button(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'session__btn';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', (e) => {
+      onClick(e);
+      btn.blur(); // keep Space for the timer
+    });
+    return btn;
+  }
+
+  render() {
+    const current = SessionStore.getCurrentSession();
+    const solves = SessionStore.getSolves();
+
+    this.select.innerHTML = '';
+    for (const name of SessionStore.getSessionNames()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === current;
+      this.select.appendChild(option);
+    }
+
+    this.statsEl.innerHTML = '';
+    const addStat = (label, value) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      this.statsEl.appendChild(dt);
+      this.statsEl.appendChild(dd);
+    };
+    for (const [label, count, kind] of AVERAGES) {
+      addStat(label, SolveStats.format(SolveStats.current(solves, count, kind)));
+    }
+    addStat('solves', String(solves.length));
+
+    this.listEl.innerHTML = '';
+    for (let i = solves.length - 1; i >= 0; i--) {
+      this.listEl.appendChild(this._solveRow(solves[i], i));
+    }
+  }
+
+  _solveRow(solve, index) {
+    const row = document.createElement('li');
+    row.className = 'session__solve';
+    row.title = solve.scramble || '';
+
+    const number = document.createElement('span');
+    number.className = 'session__index';
+    number.textContent = `${index + 1}.`;
+    row.appendChild(number);
+
+    const time = document.createElement('span');
+    time.className = 'session__time';
+    time.textContent = SolveStats.formatSolve(solve);
+    row.appendChild(time);
+
+    for (const penalty of ['+2', 'DNF']) {
+      const btn = this._button(penalty, `Toggle ${penalty}`, () => {
+        SessionStore.updateSolve(index, { penalty: solve.penalty === penalty ? null : penalty });
+        this.render();
+      });
+      btn.classList.toggle('session__btn--active', solve.penalty === penalty);
+      row.appendChild(btn);
+    }
+    row.appendChild(this._button('×', 'Delete this solve', () => {
+      SessionStore.deleteSolve(index);
+      this.render();
+    }));
+    return row;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Timer statistics with WCA rules.
+ * Results are in ms; a DNF counts as Infinity so it sorts as the worst.
+ */
+
+export const DNF = Infinity;
+
+export class SolveStats {
+  /**
+   * Final result of a solve: time plus 2 s for a +2, DNF for a DNF.
+   */
+  static result(solve) {
+    if (solve.penalty === 'DNF') return DNF;
+    return solve.time + (solve.penalty === '+2' ? 2000 : 0);
+  }
+
+  /**
+   * Plain mean (mo3): any DNF makes the mean a DNF.
+   * @returns {number|null} null when there are no solves
+   */
+  static mean(solves) {
+    if (solves.length === 0) return null;
+    const results = solves.map(s => this.result(s));
+    if (results.includes(DNF)) return DNF;
+    return roundToCentiseconds(results.reduce((a, b) => a + b, 0) / results.length);
+  }
+
+  /**
+   * Trimmed average (ao5, ao12, ao100): drop the best and worst 5% of
+   * results (at least one each), then take the mean of the rest. More
+   * DNFs than dropped results makes the average a DNF.
+   * @returns {number|null} null when there are fewer than 3 solves
+   */
+  static average(solves) {
+    if (solves.length < 3) return null;
+    const trim = Math.ceil(solves.length * 0.05);
+    const kept = solves.map(s => this.result(s))
+      .sort((a, b) => a - b)
+      .slice(trim, solves.length - trim);
+    if (kept.includes(DNF)) return DNF;
+    return roundToCentiseconds(kept.reduce((a, b) => a + b, 0) / kept.length);
+  }
+
+  /**
+   * mo3 / aoN of the most recent `count` solves, or null if there are
+   * not enough solves yet.
+   */
+  static current(solves, count, kind = 'average') {
+    if (solves.length < count) return null;
+    const recent = solves.slice(-count);
+    return kind === 'mean' ? this.mean(recent) : this.average(recent);
+  }
+
+  /**
+   * mo3 / aoN ending at every solve: entry i covers solves i-count+1..i,
+   * null while there are fewer than `count` solves.
+   */
+  static rolling(solves, count, kind = 'average') {
+    return solves.map((_, i) =>
+      i + 1 < count ? null : this.current(solves.slice(i + 1 - count, i + 1), count, kind));
+  }
+
+  /**
+   * Best single (count 1), mo3 or aoN in the list.
+   * @returns {{ value: number, index: number }|null} index of the last
+   *   solve in the best window; null if there is no finished result
+   */
+  static best(solves, count = 1, kind = 'average') {
+    const values = count === 1
+      ? solves.map(s => this.result(s))
+      : this.rolling(solves, count, kind);
+    let best = null;
+    values.forEach((value, index) => {
+      if (value === null || value === DNF) return;
+      if (!best || value < best.value) best = { value, index };
+    });
+    return best;
+  }
+
+  /**
+   * Format a result as "9.87", "1:02.34" or "DNF"; null shows as "-".
+   * Times are truncated to hundredths, as on a stackmat.
+   */
+  static format(ms) {
+    if (ms === null || ms === undefined) return '-';
+    if (ms === DNF) return 'DNF';
+    const centis = Math.floor(ms / 10);
+    const minutes = Math.floor(centis / 6000);
+    const seconds = Math.floor(centis / 100) % 60;
+    const hundredths = String(centis % 100).padStart(2, '0');
+    if (minutes > 0) {
+      return `${minutes}:${String(seconds).padStart(2, '0')}.${hundredths}`;
+    }
+    return `${seconds}.${hundredths}`;
+  }
+
+  /**
+   * Format a solve with its penalty, e.g. "12.34+" or "DNF(12.34)".
+   */
+  static formatSolve(solve) {
+    if (solve.penalty === 'DNF') return `DNF(${this.format(solve.time)})`;
+    if (solve.penalty === '+2') return `${this.format(this.result(solve))}+`;
+    return this.format(solve.time);
+  }
+}
+
+// WCA rounds averages and means to the nearest hundredth
+function roundToCentiseconds(ms) {
+  return Math.round(ms / 10) * 10;
+}
@@ -0,0 +1,207 @@
+/**
+ * Speedcubing timer with WCA inspection.
+ * Space (or touching the display):
+ *   idle       -- press      --> inspecting (when inspection is on)
+ *   inspecting -- hold 0.3 s --> ready -- release --> running
+ *   running    -- any key    --> result, back to idle
+ * Starting after 15 s of inspection is +2, after 17 s a DNF. Escape
+ * cancels inspection or a running solve.
+ */
+
+import { SolveStats } from './SolveStats.js';
+
+const HOLD_MS = 300;
+const INSPECTION_MS = 15000;
+const INSPECTION_LIMIT_MS = 17000;
+
+export class SolveTimer {
+  /**
+   * @param {HTMLElement} displayEl - Element showing the time; also the touch target
+   * @param {object} [options]
+   * @param {boolean} [options.inspection=true]
+   */
+  constructor(displayEl, { inspection = true } = {}) {
+    this.displayEl = displayEl;
+    this.inspection = inspection;
+    // idle | inspecting | holding | ready | running | stopped (until the
+    // key that stopped the timer is released)
+    this.state = 'idle';
+    this.onSolve = null;        // Callback: ({ time, penalty }) => {}
+    this.onStateChange = null;  // Callback: (state) => {}
+
+    this._inspectionStart = 0;
+    this._startTime = 0;
+    this._penalty = null;
+    this._holdTimer = null;
+    this._frame = null;
+    this._lastTime = 0;
+    this._lastPenalty = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onKeyUp = this._onKeyUp.bind(this);
+    this._onTouchStart = this._onTouchStart.bind(this);
+    this._onTouchEnd = this._onTouchEnd.bind(this);
+    window.addEventListener('keydown', this._onKeyDown);
+    window.addEventListener('keyup', this._onKeyUp);
+    displayEl.addEventListener('touchstart', this._onTouchStart, { passive: false });
+    displayEl.addEventListener('touchend', this._onTouchEnd);
+
+    this._render();
+  }
+
+  setInspection(enabled) {
+    this.inspection = enabled;
+  }
+
+  // --- Input ---
+
+  _onKeyDown(e) {
+    if (this._isTyping(e)) return;
+    if (e.key === 'Escape') {
+      this._cancel();
+      return;
+    }
+    if (this.state === 'running') {
+      e.preventDefault();
+      this._stop();
+      return;
+    }
+    if (e.code !== 'Space') return;
+    e.preventDefault();
+    if (!e.repeat) this._press();
+  }
+
+  _onKeyUp(e) {
+    if (this._isTyping(e)) return;
+    // Any key stops the timer, so any key release ends the stop
+    if (e.code !== 'Space' && this.state !== 'stopped') return;
+    e.preventDefault();
+    this._release();
+  }
+
+  _onTouchStart(e) {
+    e.preventDefault();
+    if (this.state === 'running') {
+      this._stop();
+    } else {
+      this._press();
+    }
+  }
+
+  _onTouchEnd() {
+    this._release();
+  }
+
+  // Keys typed into form fields are not timer input
+  _isTyping(e) {
+    return Boolean(e.target.closest && e.target.closest('input, select, textarea'));
+  }
+
+  // --- State machine ---
+
+  _press() {
+    if (this.state === 'idle' && this.inspection) {
+      this._startInspection();
+    } else if (this.state === 'idle' || this.state === 'inspecting') {
+      this._hold();
+    }
+  }
+
+  _release() {
+    if (this.state === 'holding') {
+      // Let go too early: back to where we were
+      clearTimeout(this._holdTimer);
+      this._setState(this._inspectionStart ? 'inspecting' : 'idle');
+    } else if (this.state === 'ready') {
+      this._start();
+    } else if (this.state === 'stopped') {
+      this._setState('idle');
+    }
+  }
+
+  _hold() {
+    this._setState('holding');
+    this._holdTimer = setTimeout(() => this._setState('ready'), HOLD_MS);
+  }
+
+  _startInspection() {
+    this._inspectionStart = performance.now();
+    this._setState('inspecting');
+    this._tick();
+  }
+
+  _start() {
+    this._penalty = null;
+    if (this._inspectionStart) {
+      const inspected = performance.now() - this._inspectionStart;
+      if (inspected > INSPECTION_LIMIT_MS) this._penalty = 'DNF';
+      else if (inspected > INSPECTION_MS) this._penalty = '+2';
+    }
+    this._inspectionStart = 0;
+    this._startTime = performance.now();
+    this._setState('running');
+    this._tick();
+  }
+
+  _stop() {
+    const time = Math.round(performance.now() - this._startTime);
+    this._lastTime = time;
+    this._lastPenalty = this._penalty;
+    this._setState('stopped');
+    if (this.onSolve) this.onSolve({ time, penalty: this._penalty });
+  }
+
+  _cancel() {
+    if (this.state === 'idle') return;
+    clearTimeout(this._holdTimer);
+    this._inspectionStart = 0;
+    this._setState('idle');
+  }
+
+  _setState(state) {
+    this.state = state;
+    this._render();
+    if (this.onStateChange) this.onStateChange(state);
+  }
+
+  // --- Display ---
+
+  _tick() {
+    cancelAnimationFrame(this._frame);
+    const update = () => {
+      this._render();
+      if (this.state === 'running' || this._inspectionStart) {
+        this._frame = requestAnimationFrame(update);
+      }
+    };
+    this._frame = requestAnimationFrame(update);
+  }
+
+  _render() {
+    const el = this.displayEl;
+    el.classList.toggle('timer__display--holding', this.state === 'holding');
+    el.classList.toggle('timer__display--ready', this.state === 'ready');
+    el.classList.toggle('timer__display--inspecting',
+      this._inspectionStart > 0 && this.state !== 'ready');
+
+    if (this.state === 'running') {
+      el.textContent = SolveStats.format(performance.now() - this._startTime);
+    } else if (this._inspectionStart) {
+      const inspected = performance.now() - this._inspectionStart;
+      if (inspected > INSPECTION_LIMIT_MS) el.textContent = 'DNF';
+      else if (inspected > INSPECTION_MS) el.textContent = '+2';
+      else el.textContent = String(Math.ceil((INSPECTION_MS - inspected) / 1000));
+    } else {
+      el.textContent = SolveStats.formatSolve({ time: this._lastTime, penalty: this._lastPenalty });
+    }
+  }
+
+  dispose() {
+    clearTimeout(this._holdTimer);
+    cancelAnimationFrame(this._frame);
+    window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('keyup', this._onKeyUp);
+    this.displayEl.removeEventListener('touchstart', this._onTouchStart);
+    this.displayEl.removeEventListener('touchend', this._onTouchEnd);
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Hand-built SVG charts for timer statistics: a time-over-time line chart
+ * and a histogram. Values are ms; null and DNF (Infinity) are left out.
+ * Colors come from CSS (.chart__* classes).
+ */
+
+import { SolveStats } from './SolveStats.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+const Y_TICKS = 5;
+
+export class StatsCharts {
+  /**
+   * Line chart of one or more series against solve number.
+   * @param {{ values: (number|null)[], className: string }[]} series
+   * @param {object} [options]
+   * @param {number} [options.width=600]
+   * @param {number} [options.height=240]
+   * @returns {SVGElement}
+   */
+  static line(series, { width = 600, height = 240 } = {}) {
+    const svg = this._svg(width, height);
+    const count = Math.max(0, ...series.map(s => s.values.length));
+    const finite = series.flatMap(s => s.values.filter(Number.isFinite));
+    if (finite.length === 0) return this._empty(svg, width, height);
+
+    const plotW = width - PADDING.left - PADDING.right;
+    const plotH = height - PADDING.top - PADDING.bottom;
+    const { min, max, step } = niceRange(Math.min(...finite), Math.max(...finite));
+    const x = i => PADDING.left + (count > 1 ? (i / (count - 1)) * plotW : plotW / 2);
+    const y = v => PADDING.top + plotH - ((v - min) / (max - min)) * plotH;
+
+    // Grid and y labels
+    for (let value = min; value <= max; value += step) {
+      this._append(svg, 'line', {
+        x1: PADDING.left, x2: width - PADDING.right, y1: y(value), y2: y(value),
+        class: 'chart__grid',
+      });
+      this._text(svg, SolveStats.format(value), PADDING.left - 4, y(value) + 3, 'end');
+    }
+
+    // x labels: first and last solve number
+    this._text(svg, '1', x(0), height - 8, 'middle');
+    if (count > 1) this._text(svg, String(count), x(count - 1), height - 8, 'middle');
+
+    // Series, broken where a value is missing or DNF
+    for (const { values, className } of series) {
+      let d = '';
+      let pen = false;
+      values.forEach((value, i) => {
+        if (!Number.isFinite(value)) {
+          pen = false;
+          return;
+        }
+        d += `${pen ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)}`;
+        pen = true;
+      });
+      if (d) this._append(svg, 'path', { d, class: `chart__line ${className}` });
+    }
+
+    return svg;
+  }
+
+  /**
+   * Histogram of results, in bins of a round width (1, 2 or 5 x 10^n ms).
+   * @param {number[]} values
+   * @param {object} [options]
+   * @param {number} [options.width=600]
+   * @param {number} [options.height=200]
+   * @param {number} [options.maxBins=12]
+   * @returns {SVGElement}
+   */
+  static histogram(values, { width = 600, height = 200, maxBins = 12 } = {}) {
+    const svg = this._svg(width, height);
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return this._empty(svg, width, height);
+
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    const binSize = niceStep((max - min) / maxBins);
+    const start = Math.floor(min / binSize) * binSize;
+    const binCount = Math.floor((max - start) / binSize) + 1;
+    const bins = new Array(binCount).fill(0);
+    for (const value of finite) {
+      bins[Math.min(binCount - 1, Math.floor((value - start) / binSize))]++;
+    }
+
+    const plotW = width - PADDING.left - PADDING.right;
+    const plotH = height - PADDING.top - PADDING.bottom;
+    const barW = plotW / binCount;
+    const tallest = Math.max(...bins);
+
+    bins.forEach((n, i) => {
+      const barH = (n / tallest) * plotH;
+      const bx = PADDING.left + i * barW;
+      this._append(svg, 'rect', {
+        x: bx + 1, y: PADDING.top + plotH - barH, width: Math.max(1, barW - 2), height: barH,
+        class: 'chart__bar',
+      });
+      if (n > 0) this._text(svg, String(n), bx + barW / 2, PADDING.top + plotH - barH - 2, 'middle');
+      this._text(svg, SolveStats.format(start + i * binSize).replace(/\.00$/, ''),
+        bx + barW / 2, height - 8, 'middle');
+    });
+
+    return svg;
+  }
+
+  static _svg(width, height) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.classList.add('chart');
+    return svg;
+  }
+
+  static _empty(svg, width, height) {
+    this._text(svg, 'No solves yet', width / 2, height / 2, 'middle');
+    return svg;
+  }
+
+  static _append(svg, tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value);
+    svg.appendChild(el);
+    return el;
+  }
+
+  static _text(svg, content, x, y, anchor) {
+    const el = this._append(svg, 'text', { x, y, 'text-anchor': anchor, class: 'chart__label' });
+    el.textContent = content;
+    return el;
+  }
+}
+
+// Step of 1, 2 or 5 times a power of ten (ms), at least 10 ms
+function niceStep(raw) {
+  const power = 10 ** Math.floor(Math.log10(Math.max(raw, 10)));
+  const step = [1, 2, 5, 10].map(m => m * power).find(s => s >= raw);
+  return Math.max(10, step);
+}
+
+// Widen [min, max] out to whole ticks of a nice step
+function niceRange(min, max) {
+  if (min === max) {
+    min = Math.max(0, min - 1000);
+    max += 1000;
+  }
+  const step = niceStep((max - min) / Y_TICKS);
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+}
@@ -0,0 +1,208 @@
+/**
+ * Statistics for a timer session: personal bests, time chart with
+ * rolling ao5/ao12, histogram, a date-range filter and CSV export/import.
+ */
+
+import { SessionStore } from './SessionStore.js';
+import { SolveStats } from './SolveStats.js';
+import { StatsCharts } from './StatsCharts.js';
+
+const BESTS = [
+  ['single', 1, 'single'],
+  ['mo3', 3, 'mean'],
+  ['ao5', 5, 'average'],
+  ['ao12', 12, 'average'],
+  ['ao100', 100, 'average'],
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class StatsView {
+  constructor(container) {
+    this.container = container;
+    this._build();
+    this.render();
+  }
+
+  _build() {
+    this.el = document.createElement('div');
+    this.el.className = 'stats';
+
+    // Toolbar: session, date range, CSV
+    const toolbar = document.createElement('div');
+    toolbar.className = 'stats__toolbar';
+
+    this.select = document.createElement('select');
+    this.select.className = 'session__select';
+    this.select.setAttribute('aria-label', 'Session');
+    this.select.addEventListener('change', () => {
+      SessionStore.setCurrentSession(this.select.value);
+      this.render();
+    });
+
+    this.fromInput = this._dateInput('From');
+    this.toInput = this._dateInput('To');
+
+    const exportBtn = this._button('Export CSV', () => this._export());
+    const importBtn = this._button('Import CSV', () => this.fileInput.click());
+    this.fileInput = document.createElement('input');
+    this.fileInput.type = 'file';
+    this.fileInput.accept = '.csv,text/csv';
+    this.fileInput.hidden = true;
+    this.fileInput.addEventListener('change', () => this._import());
+
+    toolbar.appendChild(this.select);
+    toolbar.appendChild(this.fromInput.parentNode);
+    toolbar.appendChild(this.toInput.parentNode);
+    toolbar.appendChild(exportBtn);
+    toolbar.appendChild(importBtn);
+    toolbar.appendChild(this.fileInput);
+
+    this.bestsEl = document.createElement('table');
+    this.bestsEl.className = 'stats__bests';
+
+    this.timeChartEl = this._section('Times', 'stats__chart');
+    this.histogramEl = this._section('Distribution', 'stats__chart');
+
+    this.el.appendChild(toolbar);
+    this.el.appendChild(this.bestsEl);
+    this.el.appendChild(this.timeChartEl.parentNode);
+    this.el.appendChild(this.histogramEl.parentNode);
+    this.container.appendChild(this.el);
+  }
+
+  _dateInput(text) {
+    const label = document.createElement('label');
+    label.className = 'stats__date';
+    label.textContent = `${text} `;
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = 'stats__date-input';
+    input.addEventListener('change', () => this.render());
+    label.appendChild(input);
+    return input;
+  }
+
+  _button(text, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'session__btn';
+    btn.textContent = text;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  _section(title, className) {
+    const section = document.createElement('section');
+    section.className = 'stats__section';
+    const heading = document.createElement('h2');
+    heading.className = 'stats__heading';
+    heading.textContent = title;
+    const body = document.createElement('div');
+    body.className = className;
+    section.appendChild(heading);
+    section.appendChild(body);
+    return body;
+  }
+
+  /**
+   * Solves of the current session inside the selected date range.
+   */
+  _filteredSolves() {
+    // Date inputs give local-midnight days; "to" includes the whole day
+    const from = this.fromInput.value ? new Date(`${this.fromInput.value}T00:00`).getTime() : -Infinity;
+    const to = this.toInput.value ? new Date(`${this.toInput.value}T00:00`).getTime() + DAY_MS : Infinity;
+    return SessionStore.getSolves().filter(s => s.date >= from && s.date < to);
+  }
+
+  render() {
+    const current = SessionStore.getCurrentSession();
+    this.select.innerHTML = '';
+    for (const name of SessionStore.getSessionNames()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === current;
+      this.select.appendChild(option);
+    }
+
+    const solves = this._filteredSolves();
+    this._renderBests(solves);
+
+    this.timeChartEl.innerHTML = '';
+    this.timeChartEl.appendChild(StatsCharts.line([
+      { values: solves.map(s => SolveStats.result(s)), className: 'chart__line--time' },
+      { values: SolveStats.rolling(solves, 5), className: 'chart__line--ao5' },
+      { values: SolveStats.rolling(solves, 12), className: 'chart__line--ao12' },
+    ]));
+    this.timeChartEl.appendChild(this._legend([
+      ['Time', 'chart__line--time'],
+      ['ao5', 'chart__line--ao5'],
+      ['ao12', 'chart__line--ao12'],
+    ]));
+
+    this.histogramEl.innerHTML = '';
+    this.histogramEl.appendChild(StatsCharts.histogram(solves.map(s => SolveStats.result(s))));
+  }
+
+  _renderBests(solves) {
+    this.bestsEl.innerHTML = '';
+    const head = this.bestsEl.insertRow();
+    for (const text of ['', 'Best', 'Current']) {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    }
+
+    for (const [label, count, kind] of BESTS) {
+      const row = this.bestsEl.insertRow();
+      const th = document.createElement('th');
+      th.textContent = label;
+      row.appendChild(th);
+
+      const best = SolveStats.best(solves, count, kind);
+      const bestCell = row.insertCell();
+      bestCell.textContent = best ? SolveStats.format(best.value) : '-';
+      if (best) {
+        const solve = solves[best.index];
+        bestCell.title = `Solve ${best.index + 1}, ${new Date(solve.date).toLocaleString()}`;
+      }
+
+      const current = count === 1
+        ? (solves.length ? SolveStats.result(solves[solves.length - 1]) : null)
+        : SolveStats.current(solves, count, kind);
+      row.insertCell().textContent = SolveStats.format(current);
+    }
+  }
+
+  _legend(items) {
+    const legend = document.createElement('div');
+    legend.className = 'stats__legend';
+    for (const [text, className] of items) {
+      const item = document.createElement('span');
+      item.className = `stats__legend-item ${className}`;
+      item.textContent = text;
+      legend.appendChild(item);
+    }
+    return legend;
+  }
+
+  _export() {
+    const name = SessionStore.getCurrentSession();
+    const blob = new Blob([SessionStore.exportCSV(name)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name.replace(/[^\w-]+/g, '_')}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  async _import() {
+    const file = this.fileInput.files[0];
+    if (!file) return;
+    const { added, skipped } = SessionStore.importCSV(await file.text());
+    this.fileInput.value = '';
+    this.render();
+    alert(`Imported ${added} solve${added === 1 ? '' : 's'}` +
+      (skipped ? ` (${skipped} row${skipped === 1 ? '' : 's'} skipped)` : ''));
+  }
+}
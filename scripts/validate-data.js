@@ -0,0 +1,30 @@
+/**
+ * Validate data/*.json against the cube model.
+ * Usage: node scripts/validate-data.js   (Node 20.19+ / 22)
+ * Exits with status 1 if any entry has a problem.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { AlgorithmValidator } from '../js/cube/AlgorithmValidator.js';
+
+const STEPS = ['cross', 'f2l', 'oll', 'pll'];
+const dataDir = fileURLToPath(new URL('../data/', import.meta.url));
+
+const datasets = {};
+for (const step of STEPS) {
+  datasets[step] = JSON.parse(readFileSync(`${dataDir}${step}.json`, 'utf8'));
+}
+
+const problems = AlgorithmValidator.validateAll(datasets);
+const total = STEPS.reduce((sum, step) => sum + datasets[step].length, 0);
+
+for (const p of problems) {
+  console.log(`${p.step}/${p.id} [${p.check}] ${p.message}`);
+}
+
+if (problems.length > 0) {
+  console.log(`\n${problems.length} problem(s) in ${total} entries`);
+  process.exit(1);
+}
+console.log(`${total} entries OK`);
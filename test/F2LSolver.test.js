@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CubeModel } from '../js/cube/CubeModel.js';
+import { F2LSolver } from '../js/cube/F2LSolver.js';
+import { MoveParser } from '../js/cube/MoveParser.js';
+
+/**
+ * The front-right slot's case after undoing `alg` from solved.
+ */
+function identifyCaseSolvedBy(alg) {
+  const model = new CubeModel();
+  model.applyMoves(MoveParser.inverse(alg), false);
+  return F2LSolver.identify(model, 'FR');
+}
+
+test('identify numbers cases by the standard 1-41 list', () => {
+  const known = {
+    1: "U R U' R'",
+    2: "U' F' U F",
+    3: "F' U' F",
+    4: "R U R'",
+    17: "R U2 R' U' R U R'",
+    25: "U' R' F R F' R U R'",
+    31: "U' R' F R F' R U' R'",
+    37: "R2 U2 F R2 F' U2 R' U R'",
+  };
+  for (const [number, alg] of Object.entries(known)) {
+    assert.equal(identifyCaseSolvedBy(alg).number, Number(number), alg);
+  }
+});
+
+test('identify finds the case after an AUF', () => {
+  const result = identifyCaseSolvedBy("U2 R U R'");
+  assert.equal(result.number, 4);
+  assert.equal(result.auf, 'U2');
+});
+
+test('identify reports a solved slot without a number', () => {
+  const result = F2LSolver.identify(new CubeModel(), 'FR');
+  assert.equal(result.solved, true);
+  assert.equal(result.number, null);
+});
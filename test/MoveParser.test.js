@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MoveParser, NotationError } from '../js/cube/MoveParser.js';
+
+test('repeated groups expand in order', () => {
+  assert.equal(MoveParser.toString(MoveParser.parse("(R U)3")), 'R U R U R U');
+  assert.equal(MoveParser.toString(MoveParser.parse("(R U)2'")), "U' R' U' R'");
+  assert.equal(MoveParser.parse("(R U R' U')99").length, 396);
+});
+
+test('repeat counts above 99 are errors, not expanded', () => {
+  const [error] = MoveParser.check("(R U R' U')999999");
+  assert.equal(error.token, '999999');
+  assert.equal(error.column, 12);
+  assert.equal(MoveParser.parse("(R U R' U')999999").length, 4);
+  assert.throws(() => MoveParser.parse("(R U R' U')100", { strict: true }), NotationError);
+});
+
+test('nested and repeated repeats stay bounded', () => {
+  const text = Array(50).fill('((R U)99)99').join(' ');
+  assert.ok(MoveParser.check(text).length > 0);
+  assert.ok(MoveParser.parse(text).length <= 10000);
+  assert.throws(() => MoveParser.parse('(((R)99)99)99', { strict: true }), NotationError);
+});
+
+test('a single move turns 1 to 3 quarter turns', () => {
+  assert.deepEqual(MoveParser.check("R R2 R3 R2'"), []);
+  assert.equal(MoveParser.check('R10')[0].token, 'R10');
+  assert.throws(() => MoveParser.parse('R10', { strict: true }), NotationError);
+  assert.throws(() => MoveParser.parse('U0', { strict: true }), NotationError);
+});
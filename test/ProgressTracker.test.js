@@ -0,0 +1,42 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// In-memory stand-in for the browser's localStorage
+const store = new Map();
+globalThis.localStorage = {
+  getItem: key => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+};
+const { ProgressTracker } = await import('../js/ui/ProgressTracker.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => store.clear());
+
+test('successful reviews are due after 1, 6, then interval × ease days', () => {
+  const now = 0;
+  const intervals = [4, 4, 4, 4].map(grade => ProgressTracker.review('a', grade, now).interval);
+  // "Good" keeps the ease at 2.5
+  assert.deepEqual(intervals, [1, 6, 15, 38]);
+  const record = ProgressTracker.getRecord('a');
+  assert.equal(record.ease, 2.5);
+  assert.equal(record.due, now + 38 * DAY);
+});
+
+test('grades change the ease factor', () => {
+  assert.equal(ProgressTracker.review('a', 5).ease, 2.6);
+  assert.equal(ProgressTracker.review('b', 3).ease, 2.36);
+});
+
+test('a lapse restarts the intervals but keeps the ease factor', () => {
+  ProgressTracker.review('a', 5);
+  ProgressTracker.review('a', 4);
+  const lapsed = ProgressTracker.review('a', 1);
+  assert.equal(lapsed.reps, 0);
+  assert.equal(lapsed.interval, 1);
+  assert.equal(lapsed.ease, 2.6);
+  assert.equal(lapsed.learned, true);
+  // Repeated lapses don't wear it down either
+  assert.equal(ProgressTracker.review('a', 1).ease, 2.6);
+  assert.deepEqual([4, 4].map(grade => ProgressTracker.review('a', grade).interval), [1, 6]);
+});
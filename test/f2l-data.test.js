@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CaseBuilder } from '../js/cube/CaseBuilder.js';
+import { F2LSolver } from '../js/cube/F2LSolver.js';
+
+const entries = JSON.parse(readFileSync(new URL('../data/f2l.json', import.meta.url), 'utf8'));
+const SLOTS = ['FR', 'FL', 'BR', 'BL'];
+
+test('data/f2l.json has each of the 41 cases once', () => {
+  const numbers = entries.map(entry => Number(entry.name.match(/F2L (\d+)/)?.[1]));
+  assert.deepEqual([...numbers].sort((a, b) => a - b), Array.from({ length: 41 }, (_, i) => i + 1));
+});
+
+for (const entry of entries) {
+  test(`${entry.id} sets up the case its name gives`, () => {
+    const model = CaseBuilder.stateAfterSetup(entry);
+    const unsolved = SLOTS.map(slot => F2LSolver.identify(model, slot)).filter(r => !r.solved);
+    assert.equal(unsolved.length, 1, 'one slot left to solve');
+    const [result] = unsolved;
+
+    assert.equal(result.number, Number(entry.name.match(/F2L (\d+)/)[1]), result.description);
+    // The group words agree with where the pieces are (see F2LSolver's case keys)
+    const [corner, edge] = result.key.split('-');
+    const cornerInSlot = corner.startsWith('D');
+    const edgeInSlot = edge.startsWith('FR');
+    if (/Corner in Slot|Both in Slot/.test(entry.name)) assert.ok(cornerInSlot, result.description);
+    if (/Edge in Slot|Both in Slot/.test(entry.name)) assert.ok(edgeInSlot, result.description);
+    if (/Both in Top/.test(entry.name)) assert.ok(!cornerInSlot && !edgeInSlot, result.description);
+  });
+}